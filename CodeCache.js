@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const partition = require('lodash/partition');
+
+const megabyte = 1024 * 1024;
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculate the total size of the files in a directory
+ *
+ * @param {string} dir - the directory
+ * @returns {number} the size in bytes
+ */
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return total + directorySize(entryPath);
+    }
+    return total + fs.lstatSync(entryPath).size;
+  }, 0);
+}
+
+/**
+ * A persistent on-disk cache of extracted lambda function and layer code.
+ * Function code is keyed by its `CodeSha256` and layers by their version ARN,
+ * so an entry never has to be invalidated, only evicted.  Eviction assumes no
+ * other process is reading the cache, so a cache directory must not be shared
+ * between containers that run at the same time.
+ */
+class CodeCache {
+  /**
+   * @param {Object} options - options object
+   * @param {string} options.directory - the directory to keep cached code in
+   * @param {number} [options.maxSize=1024] - the size in megabytes the cache is
+   *   trimmed to, evicting the least recently used entries first
+   * @param {number} [options.maxAge=30] - the number of days after which an
+   *   unused entry is evicted
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.maxSize = (options.maxSize || 1024) * megabyte;
+    this.maxAge = (options.maxAge || 30) * day;
+    this.populating = new Set();
+  }
+
+  /**
+   * Get the path of a cache entry
+   *
+   * @param {string} type - the type of code, `function` or `layer`
+   * @param {string} key - the code's `CodeSha256` or layer version ARN
+   * @returns {string} the path of the entry's directory
+   */
+  entryPath(type, key) {
+    return path.join(this.directory, type, key.replace(/[^\w.-]/g, '_'));
+  }
+
+  /**
+   * Look up a cache entry, marking it as recently used
+   *
+   * @param {string} type - the type of code, `function` or `layer`
+   * @param {string} key - the code's `CodeSha256` or layer version ARN
+   * @returns {string|undefined} the path of the entry's directory, if it is cached
+   */
+  get(type, key) {
+    const entryPath = this.entryPath(type, key);
+    if (!fs.existsSync(entryPath)) {
+      return undefined;
+    }
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    return entryPath;
+  }
+
+  /**
+   * Add an entry to the cache.  The entry is populated in a temporary directory
+   * with a unique name and moved into place once complete, so a failed or
+   * interrupted population never leaves a partial entry behind.  If the entry
+   * appears while it is being populated, the existing entry is kept.
+   *
+   * @param {string} type - the type of code, `function` or `layer`
+   * @param {string} key - the code's `CodeSha256` or layer version ARN
+   * @param {Function} populate - async function that writes the code into the
+   *   directory it is passed
+   * @returns {Promise<string>} the path of the entry's directory
+   */
+  async add(type, key, populate) {
+    const entryPath = this.entryPath(type, key);
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    const tempPath = fs.mkdtempSync(`${entryPath}.tmp-`);
+    this.populating.add(tempPath);
+    try {
+      await populate(tempPath);
+      if (!fs.existsSync(entryPath)) fs.renameSync(tempPath, entryPath);
+    }
+    finally {
+      this.populating.delete(tempPath);
+      fs.rmSync(tempPath, { recursive: true, force: true });
+    }
+    return entryPath;
+  }
+
+  /**
+   * Evict entries that have not been used within `maxAge`, then the least
+   * recently used entries until the cache is within `maxSize`.  Temporary
+   * directories left behind by an interrupted run are removed too.
+   *
+   * @param {Array<string>} [keep=[]] - paths of entries that must not be evicted
+   * @returns {Array<string>} the paths of the evicted entries
+   */
+  evict(keep = []) {
+    const [tempPaths, entryPaths] = partition(
+      ['function', 'layer']
+        .map((type) => path.join(this.directory, type))
+        .filter((typeDir) => fs.existsSync(typeDir))
+        .flatMap((typeDir) => fs.readdirSync(typeDir).map((name) => path.join(typeDir, name))),
+      (entryPath) => entryPath.includes('.tmp-')
+    );
+    tempPaths
+      .filter((tempPath) => !this.populating.has(tempPath))
+      .forEach((tempPath) => fs.rmSync(tempPath, { recursive: true, force: true }));
+
+    const entries = entryPaths
+      .filter((entryPath) => !keep.includes(entryPath))
+      .map((entryPath) => ({
+        entryPath,
+        lastUsed: fs.statSync(entryPath).mtimeMs,
+        size: directorySize(entryPath)
+      }))
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let totalSize = keep
+      .filter((entryPath) => fs.existsSync(entryPath))
+      .reduce((total, entryPath) => total + directorySize(entryPath), 0)
+      + entries.reduce((total, entry) => total + entry.size, 0);
+    const staleBefore = Date.now() - this.maxAge;
+
+    const evicted = entries.filter((entry) => {
+      if (entry.lastUsed >= staleBefore && totalSize <= this.maxSize) {
+        return false;
+      }
+      fs.rmSync(entry.entryPath, { recursive: true, force: true });
+      totalSize -= entry.size;
+      return true;
+    });
+    return evicted.map((entry) => entry.entryPath);
+  }
+}
+module.exports = CodeCache;
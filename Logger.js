@@ -2,6 +2,20 @@
 
 'use strict';
 
+const { inspect } = require('util');
+
+// Log levels from the most to the least verbose
+const levels = ['trace', 'debug', 'info', 'warn', 'error'];
+
+// Entry properties that fields cannot replace
+const reservedFields = ['level', 'message', 'sender', 'timestamp'];
+
+// The level of loggers created without one.  It is read from LOG_LEVEL once,
+// when this module loads, so the Lambda function's own LOG_LEVEL, applied to
+// the process environment later, does not change the runner's level.
+let defaultLevel = (process.env.LOG_LEVEL || '').toLowerCase();
+if (!levels.includes(defaultLevel)) defaultLevel = 'info';
+
 /**
  * A class for writing JSON-formated logs to STDOUT
  */
@@ -10,9 +24,15 @@ class Logger {
    * @param {Object} [options] - options object
    * @param {string} [options.sender='cumulus-ecs-task'] - options.sender - an optional sender for
    *   the log messages
+   * @param {string} [options.level] - the least severe level to write, one of `trace`, `debug`,
+   *   `info`, `warn` or `error`. Defaults to the default level, see `Logger.setDefaultLevel`
+   * @param {Object} [options.fields] - fields to add to every log entry
    */
   constructor(options = {}) {
+    if (options.level) Logger.validateLevel(options.level);
     this._sender = options.sender || 'cumulus-ecs-task';
+    this._level = options.level;
+    this.fields = options.fields || {};
   }
 
   /**
@@ -24,51 +44,217 @@ class Logger {
     this._sender = value;
   }
 
+  /**
+   * The least severe level written: the logger's own level, or the default
+   * level when none was given, so it follows `Logger.setDefaultLevel` after the
+   * logger is created
+   *
+   * @returns {string} the level
+   */
+  get level() {
+    return this._level || defaultLevel;
+  }
+
+  /**
+   * Create a logger that adds `fields` to every entry, on top of this logger's
+   * fields, for example to tie every entry written during a task to it
+   *
+   * @param {Object} fields - the fields to add
+   * @returns {Logger} the child logger
+   */
+  child(fields) {
+    return new Logger({
+      sender: this._sender,
+      level: this._level,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  /**
+   * Whether messages at `level` are written
+   *
+   * @param {string} level - the level
+   * @returns {boolean} true if the level is at least as severe as the logger's level
+   */
+  isLevelEnabled(level) {
+    return levels.indexOf(level) >= levels.indexOf(this.level);
+  }
+
+  /**
+   * Log a trace message
+   *
+   * @param {string} message - the message to log
+   * @param {Object} [fields] - fields to add to the entry
+   * @returns {undefined} no return value
+   */
+  trace(message, fields) {
+    this.writeMessage('trace', message, fields);
+  }
+
+  /**
+   * Log a debug message
+   *
+   * @param {string} message - the message to log
+   * @param {Object} [fields] - fields to add to the entry
+   * @returns {undefined} no return value
+   */
+  debug(message, fields) {
+    this.writeMessage('debug', message, fields);
+  }
+
   /**
    * Log an info message
    *
    * @param {string} message - the message to log
+   * @param {Object} [fields] - fields to add to the entry
+   * @returns {undefined} no return value
+   */
+  info(message, fields) {
+    this.writeMessage('info', message, fields);
+  }
+
+  /**
+   * Log a warning message
+   *
+   * @param {string} message - the message to log
+   * @param {Error} [err] - the error to log
+   * @param {Object} [fields] - fields to add to the entry
    * @returns {undefined} no return value
    */
-  info(message) {
-    this.writeMessage('info', message);
+  warn(message, err, fields) {
+    this.writeMessage('warn', Logger.formatError(message, err), fields);
   }
 
   /**
    * Log an error message
    *
    * @param {string} message - the message to log
-   * @param {Error} err - the error to log
+   * @param {Error} [err] - the error to log
+   * @param {Object} [fields] - fields to add to the entry
    * @returns {undefined} no return value
    */
-  error(message, err) {
-    let msg;
-    if (err.stack) {
-      msg = `${message} ${err.stack.replace(/\n/g, ' ')}`;
-    }
-    else {
-      msg = err;
-    }
-    this.writeMessage('error', msg);
+  error(message, err, fields) {
+    this.writeMessage('error', Logger.formatError(message, err), fields);
   }
 
   /**
-   * Log a message to stdout
+   * Log metrics in CloudWatch Embedded Metric Format, so CloudWatch Logs turns
+   * the entry into metrics.  Metric entries are written at `info` whatever the
+   * logger's level, so metrics do not depend on how verbose the logs are.
+   *
+   * @param {string} message - the message to log
+   * @param {Object} options - options object
+   * @param {string} options.namespace - the CloudWatch namespace of the metrics
+   * @param {Object} options.dimensions - the dimension names and their values
+   * @param {Array<Object>} options.metrics - the metrics, each with a `name`, a `value`
+   *   and optionally a CloudWatch `unit`
+   * @param {Object} [options.properties] - fields to add to the entry that are neither
+   *   metrics nor dimensions
+   * @returns {undefined} no return value
+   */
+  emf(message, options) {
+    const {
+      namespace, dimensions, metrics, properties
+    } = options;
+    const fields = {
+      ...properties,
+      ...dimensions,
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: namespace,
+          Dimensions: [Object.keys(dimensions)],
+          Metrics: metrics.map(({ name, unit }) => ({ Name: name, Unit: unit || 'None' }))
+        }]
+      }
+    };
+    metrics.forEach(({ name, value }) => {
+      fields[name] = value;
+    });
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Log a message to stdout, if its level is enabled
    *
    * @param {string} level - the level of the message
    * @param {string} message - the message to log
+   * @param {Object} [fields] - fields to add to the entry
    * @returns {undefined} no return value
    * @memberof Logger
    */
-  writeMessage(level, message) {
+  writeMessage(level, message, fields) {
+    if (this.isLevelEnabled(level)) this.write(level, message, fields);
+  }
+
+  /**
+   * Log a message to stdout whatever its level
+   *
+   * @param {string} level - the level of the message
+   * @param {string} message - the message to log
+   * @param {Object} [fields] - fields to add to the entry
+   * @returns {undefined} no return value
+   */
+  write(level, message, fields) {
     const output = {
       level,
       message,
       sender: this._sender,
       timestamp: (new Date()).toISOString()
     };
+    Object.entries({ ...this.fields, ...fields }).forEach(([name, value]) => {
+      if (!reservedFields.includes(name)) output[name] = value;
+    });
 
     console.log(JSON.stringify(output));
   }
+
+  /**
+   * Set the level of every logger created without one, including existing
+   * loggers.  Defaults to the `LOG_LEVEL` environment variable when this module
+   * was loaded, or `info`.
+   *
+   * @param {string} level - the level
+   * @returns {undefined} no return value
+   */
+  static setDefaultLevel(level) {
+    Logger.validateLevel(level);
+    defaultLevel = level;
+  }
+
+  /**
+   * Check that a log level exists
+   *
+   * @param {string} level - the level
+   * @returns {undefined} no return value
+   * @throws {Error} if the level is not one of `Logger.levels`
+   */
+  static validateLevel(level) {
+    if (!levels.includes(level)) {
+      throw new Error(`Invalid log level ${level}, should be one of ${levels.join(', ')}`);
+    }
+  }
+
+  /**
+   * Append an error, or any other thrown value, to a message
+   *
+   * @param {string} message - the message
+   * @param {*} [err] - the error
+   * @returns {string} the message with the error's stack, or a description of the value
+   */
+  static formatError(message, err) {
+    if (err === undefined || err === null) {
+      return message;
+    }
+    if (err.stack) {
+      return `${message} ${err.stack.replace(/\n/g, ' ')}`;
+    }
+    const description = typeof err === 'string' ? err : inspect(err, { breakLength: Infinity });
+    return `${message} ${description}`;
+  }
 }
+
+// The log levels, from the most to the least verbose
+Logger.levels = levels;
+
 module.exports = Logger;
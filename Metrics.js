@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Format a sample value in the Prometheus text format
+ *
+ * @param {number} value - the value
+ * @returns {string} the formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create a counter: a value that only goes up, such as the number of tasks run
+ *
+ * @returns {Object} the counter, with an `inc(value = 1)` method and a `value` property
+ */
+function createCounter() {
+  return {
+    type: 'counter',
+    value: 0,
+    inc(value = 1) {
+      this.value += value;
+    },
+    samples(name) {
+      return [`${name} ${formatValue(this.value)}`];
+    }
+  };
+}
+
+/**
+ * Create a gauge: a value that goes up and down, such as the number of running tasks
+ *
+ * @returns {Object} the gauge, with `inc(value = 1)`, `dec(value = 1)` and `set(value)`
+ * methods and a `value` property
+ */
+function createGauge() {
+  return {
+    ...createCounter(),
+    type: 'gauge',
+    dec(value = 1) {
+      this.value -= value;
+    },
+    set(value) {
+      this.value = value;
+    }
+  };
+}
+
+/**
+ * Create a histogram: observations, such as durations, counted into cumulative buckets
+ *
+ * @param {Array<number>} buckets - the buckets' upper bounds, in ascending order
+ * @returns {Object} the histogram, with `observe(value)` and `startTimer()` methods.
+ * `startTimer` returns a function that observes the number of seconds since it was called
+ */
+function createHistogram(buckets) {
+  return {
+    type: 'histogram',
+    counts: buckets.map(() => 0),
+    count: 0,
+    sum: 0,
+    observe(value) {
+      buckets.forEach((bound, i) => {
+        if (value <= bound) this.counts[i] += 1;
+      });
+      this.count += 1;
+      this.sum += value;
+    },
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return () => this.observe(Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    samples(name) {
+      return [
+        ...buckets.map((bound, i) => (
+          `${name}_bucket{le="${formatValue(bound)}"} ${this.counts[i]}`
+        )),
+        `${name}_bucket{le="+Inf"} ${this.count}`,
+        `${name}_sum ${formatValue(this.sum)}`,
+        `${name}_count ${this.count}`
+      ];
+    }
+  };
+}
+
+/**
+ * A registry of metrics that renders them in the Prometheus text exposition
+ * format, for a metrics endpoint to serve
+ */
+class Metrics {
+  /**
+   * @param {Object} [options] - options object
+   * @param {string} [options.prefix=''] - prefix for every metric name
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   *
+   * @param {string} name - the metric name, without the prefix
+   * @param {string} help - what the metric counts
+   * @returns {Object} the counter, see `createCounter`
+   */
+  counter(name, help) {
+    return this.register(name, help, createCounter());
+  }
+
+  /**
+   * Register a gauge
+   *
+   * @param {string} name - the metric name, without the prefix
+   * @param {string} help - what the metric measures
+   * @returns {Object} the gauge, see `createGauge`
+   */
+  gauge(name, help) {
+    return this.register(name, help, createGauge());
+  }
+
+  /**
+   * Register a histogram
+   *
+   * @param {string} name - the metric name, without the prefix
+   * @param {string} help - what the metric observes
+   * @param {Array<number>} buckets - the buckets' upper bounds, in ascending order
+   * @returns {Object} the histogram, see `createHistogram`
+   */
+  histogram(name, help, buckets) {
+    return this.register(name, help, createHistogram(buckets));
+  }
+
+  /**
+   * Register a metric
+   *
+   * @param {string} name - the metric name, without the prefix
+   * @param {string} help - the metric's description
+   * @param {Object} metric - the metric
+   * @returns {Object} the metric
+   */
+  register(name, help, metric) {
+    const fullName = `${this.prefix}${name}`;
+    if (this.metrics.has(fullName)) {
+      throw new Error(`Metric ${fullName} is already registered`);
+    }
+    this.metrics.set(fullName, { help, metric });
+    return metric;
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   *
+   * @returns {string} the metrics
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(({ help, metric }, name) => {
+      lines.push(
+        `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+        `# TYPE ${name} ${metric.type}`,
+        ...metric.samples(name)
+      );
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// The content type of `render`'s output
+Metrics.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = Metrics;
@@ -0,0 +1,153 @@
+'use strict';
+
+// The longest a service loop waits between polls after errors
+const maxDelay = 60 * 1000;
+
+/**
+ * Wait for a number of milliseconds, or until any of `signals` is aborted
+ *
+ * @param {number} ms - the number of milliseconds to wait
+ * @param {Array<AbortSignal>} signals - signals that end the wait early
+ * @returns {Promise<undefined>} resolves when the wait is over
+ */
+function wait(ms, signals) {
+  if (signals.some((signal) => signal.aborted)) return Promise.resolve();
+  return new Promise((resolve) => {
+    let timer;
+    // eslint-disable-next-line require-jsdoc
+    const done = () => {
+      clearTimeout(timer);
+      signals.forEach((signal) => signal.removeEventListener('abort', done));
+      resolve();
+    };
+    timer = setTimeout(done, ms);
+    signals.forEach((signal) => signal.addEventListener('abort', done));
+  });
+}
+
+/**
+ * Backs off a service loop's polling after consecutive poll errors, with
+ * exponential delays and full jitter, and trips a circuit breaker once too many
+ * polls in a row have failed, so the container can be replaced.  A service
+ * polling from several slots shares one backoff: polls that fail while the
+ * loop is already backing off wait for the same round, and count as a single
+ * failure, so the breaker trips after `maxFailures` rounds rather than after
+ * one round of simultaneous failures.  Repeats of an
+ * error that has already been logged are counted rather than logged, and
+ * summarised when polling recovers or the breaker trips.
+ */
+class PollBackoff {
+  /**
+   * @param {Object} [options] - options object
+   * @param {number} [options.delay=1000] - the number of milliseconds to wait after
+   *   the first error, doubling after each error up to one minute
+   * @param {number} [options.maxFailures=10] - the number of consecutive backoff rounds
+   *   that trips the breaker, or 0 to never trip it
+   * @param {Object} [options.logger] - the logger to report errors to
+   */
+  constructor(options = {}) {
+    this.delay = options.delay || 1000;
+    this.maxFailures = Number.isInteger(options.maxFailures) ? options.maxFailures : 10;
+    this.logger = options.logger;
+    this.failures = 0;
+    this.suppressed = new Map();
+    this.error = undefined;
+    this.round = undefined;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Whether the breaker has tripped and polling should stop
+   *
+   * @returns {boolean} true once too many polls in a row have failed
+   */
+  get tripped() {
+    return this.error !== undefined;
+  }
+
+  /**
+   * Record a successful poll, resetting the backoff
+   *
+   * @returns {undefined} no return value
+   */
+  succeeded() {
+    if (this.failures > 0 && this.logger) {
+      this.logger.info(
+        `Polling recovered after ${this.failures} consecutive errors${this.summary()}`
+      );
+    }
+    this.failures = 0;
+    this.suppressed.clear();
+  }
+
+  /**
+   * Record a failed poll and wait before the next one.  A failure while a backoff
+   * round is already under way joins that round instead of starting another.
+   * Once `maxFailures` rounds in a row have failed the breaker trips, ending
+   * every pending wait, and this resolves straight away.
+   *
+   * @param {Error} err - the error the poll failed with
+   * @param {AbortSignal} [signal] - signal that ends the wait early
+   * @returns {Promise<undefined>} resolves when the loop may poll again
+   */
+  async failed(err, signal) {
+    if (this.tripped) return;
+    if (this.round) {
+      this.count(err);
+      await this.round;
+      return;
+    }
+
+    this.failures += 1;
+    this.count(err);
+
+    if (this.maxFailures && this.failures >= this.maxFailures) {
+      this.error = new Error(
+        `Polling failed ${this.failures} times in a row, giving up${this.summary()}`
+      );
+      this.error.name = 'PollCircuitOpen';
+      this.error.cause = err;
+      if (this.logger) this.logger.error('Polling circuit breaker tripped', this.error);
+      this.controller.abort();
+      return;
+    }
+
+    const ceiling = Math.min(this.delay * (2 ** (this.failures - 1)), maxDelay);
+    const signals = [this.controller.signal, ...(signal ? [signal] : [])];
+    this.round = wait(Math.round(Math.random() * ceiling), signals)
+      .then(() => {
+        this.round = undefined;
+      });
+    await this.round;
+  }
+
+  /**
+   * Log an error the first time its message is seen, and count its repeats
+   *
+   * @param {Error} err - the error a poll failed with
+   * @returns {undefined} no return value
+   */
+  count(err) {
+    if (this.suppressed.has(err.message)) {
+      this.suppressed.set(err.message, this.suppressed.get(err.message) + 1);
+    }
+    else {
+      this.suppressed.set(err.message, 0);
+      if (this.logger) this.logger.error(`Polling failed, attempt ${this.failures}`, err);
+    }
+  }
+
+  /**
+   * Describe the errors that were not logged
+   *
+   * @returns {string} the description, or an empty string if none were suppressed
+   */
+  summary() {
+    const counts = Array.from(this.suppressed.entries())
+      .filter(([, count]) => count > 0)
+      .map(([message, count]) => `${count} x "${message}"`);
+    return counts.length ? `, suppressed repeated errors: ${counts.join(', ')}` : '';
+  }
+}
+
+module.exports = PollBackoff;
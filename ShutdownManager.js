@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Coordinates stopping the service on SIGTERM or SIGINT.  Polling stops straight
+ * away, aborting any long-poll in progress through `pollSignal`, and running
+ * tasks get a grace period to finish before they are cancelled through
+ * `taskSignal`.  A second signal cancels running tasks without waiting.
+ */
+class ShutdownManager {
+  /**
+   * @param {Object} [options] - options object
+   * @param {number} [options.gracePeriod=25] - the number of seconds running tasks
+   *   may take to finish once a signal is received
+   * @param {Object} [options.logger] - the logger to report shutdown progress to
+   */
+  constructor(options = {}) {
+    this.gracePeriod = (options.gracePeriod || 25) * 1000;
+    this.logger = options.logger;
+    this.pollController = new AbortController();
+    this.taskController = new AbortController();
+    this.listener = (signal) => this.shutdown(signal);
+    this.signals = [];
+  }
+
+  /**
+   * Start shutting down when the process receives one of `signals`
+   *
+   * @param {Array<string>} [signals=['SIGTERM', 'SIGINT']] - the signals to listen for
+   * @returns {ShutdownManager} this shutdown manager
+   */
+  listen(signals = ['SIGTERM', 'SIGINT']) {
+    this.signals = signals;
+    signals.forEach((signal) => process.on(signal, this.listener));
+    return this;
+  }
+
+  /**
+   * Stop listening for signals and stop the grace period timer
+   *
+   * @returns {undefined} no return value
+   */
+  close() {
+    this.signals.forEach((signal) => process.removeListener(signal, this.listener));
+    this.signals = [];
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Whether the service is shutting down and should stop polling for work
+   *
+   * @returns {boolean} true once shutdown has started
+   */
+  get stopping() {
+    return this.pollSignal.aborted;
+  }
+
+  /**
+   * The signal aborted when shutdown starts, to stop polling
+   *
+   * @returns {AbortSignal} the signal
+   */
+  get pollSignal() {
+    return this.pollController.signal;
+  }
+
+  /**
+   * The signal aborted when the grace period ends, to cancel running tasks
+   *
+   * @returns {AbortSignal} the signal
+   */
+  get taskSignal() {
+    return this.taskController.signal;
+  }
+
+  /**
+   * The code the process should exit with: 0 if every running task finished
+   * within the grace period, or 1 if tasks had to be cancelled
+   *
+   * @returns {number} the exit code
+   */
+  get exitCode() {
+    return this.taskSignal.aborted ? 1 : 0;
+  }
+
+  /**
+   * Start shutting down, or cancel running tasks if shutdown has already started
+   *
+   * @param {string} [signal='shutdown'] - the name of the signal that was received
+   * @returns {undefined} no return value
+   */
+  shutdown(signal = 'shutdown') {
+    if (this.stopping) {
+      this.log(`Received ${signal} again, cancelling running tasks`);
+      this.cancelTasks();
+      return;
+    }
+
+    this.log(`Received ${signal}, will stop polling for new work and wait up to `
+      + `${this.gracePeriod / 1000} seconds for running tasks`);
+    const err = new Error(`Polling stopped by ${signal}`);
+    err.name = 'AbortError';
+    this.pollController.abort(err);
+    this.timer = setTimeout(() => {
+      this.log('Shutdown grace period ended, cancelling running tasks');
+      this.cancelTasks();
+    }, this.gracePeriod);
+  }
+
+  /**
+   * Cancel running tasks, which fail with a `WorkerShutdown` error
+   *
+   * @returns {undefined} no return value
+   */
+  cancelTasks() {
+    clearTimeout(this.timer);
+    if (this.taskSignal.aborted) return;
+    const err = new Error('Task cancelled because the worker is shutting down');
+    err.name = ShutdownManager.cancelledTaskError;
+    this.taskController.abort(err);
+  }
+
+  /**
+   * Log a message if there is a logger
+   *
+   * @param {string} message - the message to log
+   * @returns {undefined} no return value
+   */
+  log(message) {
+    if (this.logger) this.logger.info(message);
+  }
+}
+
+// The error name running tasks fail with when they are cancelled
+ShutdownManager.cancelledTaskError = 'WorkerShutdown';
+
+module.exports = ShutdownManager;
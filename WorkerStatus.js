@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Tracks whether the worker is ready for work and still making progress, for
+ * health and readiness checks.  The worker is ready once its Lambda function
+ * is installed, and healthy unless it has gone longer than the poll window
+ * without completing a poll while no task was running, for example because
+ * every poll keeps failing.
+ */
+class WorkerStatus {
+  /**
+   * Start with nothing installed, no polls and no running tasks
+   */
+  constructor() {
+    this.installedAt = undefined;
+    this.lastPollAt = undefined;
+    this.runningTasks = 0;
+  }
+
+  /**
+   * Record that the Lambda function was installed.  The poll window starts from
+   * here, so the first poll has a full window to complete.
+   *
+   * @returns {undefined} no return value
+   */
+  installed() {
+    this.installedAt = Date.now();
+    if (!this.lastPollAt) this.lastPollAt = this.installedAt;
+  }
+
+  /**
+   * Record that a poll for work completed, whether or not it returned any
+   *
+   * @returns {undefined} no return value
+   */
+  polled() {
+    this.lastPollAt = Date.now();
+  }
+
+  /**
+   * Record that a task started running
+   *
+   * @returns {undefined} no return value
+   */
+  taskStarted() {
+    this.runningTasks += 1;
+  }
+
+  /**
+   * Record that a task finished running.  The poll window restarts here, so the
+   * next poll has a full window to complete however long the task ran.
+   *
+   * @returns {undefined} no return value
+   */
+  taskFinished() {
+    this.runningTasks -= 1;
+    this.lastPollAt = Date.now();
+  }
+
+  /**
+   * Check the worker's health and readiness
+   *
+   * @param {Object} [options] - options object
+   * @param {number} [options.pollWindow=600] - the number of seconds the worker may go
+   *   without completing a poll, while no task is running, before it is unhealthy
+   * @param {boolean} [options.stopping=false] - whether the worker is shutting down,
+   *   which makes it not ready
+   * @returns {Object} `healthy` and `ready` booleans, the `reasons` for any failed
+   *   check, `lastPollAt` as an ISO date and the number of `runningTasks`
+   */
+  check(options = {}) {
+    const pollWindow = options.pollWindow || 600;
+    const reasons = [];
+    let healthy = true;
+
+    if (!this.installedAt) {
+      reasons.push('the Lambda function is not installed yet');
+    }
+    else if (this.runningTasks === 0 && Date.now() - this.lastPollAt > pollWindow * 1000) {
+      healthy = false;
+      reasons.push(`no poll for work has completed in the last ${pollWindow} seconds`);
+    }
+    if (options.stopping) {
+      reasons.push('the worker is shutting down');
+    }
+
+    return {
+      healthy,
+      ready: healthy && Boolean(this.installedAt) && !options.stopping,
+      reasons,
+      lastPollAt: this.lastPollAt && new Date(this.lastPollAt).toISOString(),
+      runningTasks: this.runningTasks
+    };
+  }
+}
+
+module.exports = WorkerStatus;
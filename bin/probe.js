@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+// Checks the health or readiness of a service running in this container, for
+// use as a Docker HEALTHCHECK or ECS container health check. Exits with 0 if the
+// check passes and 1 if it fails or cannot be reached.
+
+const http = require('http');
+
+const minimist = require('minimist');
+const createCliOptions = require('cliclopts');
+
+const cliOptions = createCliOptions([
+  {
+    name: 'port',
+    abbr: 'p',
+    default: process.env.HEALTH_PORT,
+    help: 'the port the service serves its checks on, see its --health-port option. '
+      + 'defaults to the HEALTH_PORT environment variable'
+  },
+  {
+    name: 'check',
+    abbr: 'c',
+    default: 'healthz',
+    help: 'the check to run, healthz or readyz. default is healthz'
+  },
+  {
+    name: 'timeout',
+    abbr: 't',
+    default: 3000,
+    help: 'milliseconds to wait for the check to respond. default is 3000'
+  },
+  {
+    name: 'help',
+    abbr: 'h',
+    help: 'show help',
+    boolean: true
+  }
+]);
+
+const argv = minimist(process.argv.slice(2), cliOptions.options());
+
+if (argv.help) {
+  console.log('Usage: probe [options]');
+  cliOptions.print();
+  process.exit(0);
+}
+
+if (!argv.port || !['healthz', 'readyz'].includes(argv.check)) {
+  console.error('You must provide a --port and a --check of healthz or readyz');
+  process.exit(1);
+}
+
+const req = http.get({
+  host: '127.0.0.1',
+  port: argv.port,
+  path: `/${argv.check}`,
+  timeout: argv.timeout
+}, (res) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    body += chunk;
+  });
+  res.on('end', () => {
+    console.log(body);
+    process.exit(res.statusCode === 200 ? 0 : 1);
+  });
+});
+
+req.on('timeout', () => req.destroy(new Error(`No response within ${argv.timeout} ms`)));
+req.on('error', (err) => {
+  console.error(`Could not run the ${argv.check} check: ${err.message}`);
+  process.exit(1);
+});
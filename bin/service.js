@@ -2,6 +2,7 @@
 /* eslint-disable no-console */
 
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
 const minimist = require('minimist');
@@ -9,12 +10,16 @@ const createCliOptions = require('cliclopts');
 const rimraf = require('rimraf');
 
 const Logger = require('../Logger');
+const Metrics = require('../Metrics');
+const ShutdownManager = require('../ShutdownManager');
 const log = new Logger({ sender: 'cumulus-ecs-task/service' });
 
 const {
+  metrics,
   runServiceFromActivity,
   runServiceFromSQS,
-  runTask
+  runTask,
+  workerStatus
 } = require('../index');
 
 const taskDir = path.join(process.cwd(), 'task');
@@ -41,6 +46,45 @@ const cliOptions = createCliOptions([
     alias: ['lambdaArn'],
     help: 'the arn of the lambda function that will run on ecs'
   },
+  {
+    name: 'lambda-zip',
+    alias: ['lambdaZip'],
+    help: 'path to a local zip file of the lambda function to run instead of downloading it'
+  },
+  {
+    name: 'lambda-dir',
+    alias: ['lambdaDir'],
+    help: 'path to a local directory of the lambda function to run instead of downloading it'
+  },
+  {
+    name: 'handler',
+    help: 'the handler to run from --lambda-zip or --lambda-dir, e.g. index.handler'
+  },
+  {
+    name: 'layer',
+    alias: ['layers'],
+    help: 'path to a local layer zip file or directory to use with --lambda-zip or '
+      + '--lambda-dir. can be repeated'
+  },
+  {
+    name: 'cache-directory',
+    alias: ['cacheDirectory'],
+    default: null,
+    help: 'directory to cache downloaded function and layer code in, keyed by its CodeSha256 '
+      + 'and layer version arn. default is null, which disables the cache'
+  },
+  {
+    name: 'cache-max-size',
+    alias: ['cacheMaxSize'],
+    default: 1024,
+    help: 'size in megabytes to trim the code cache to, evicting the least recently used code first'
+  },
+  {
+    name: 'cache-max-age',
+    alias: ['cacheMaxAge'],
+    default: 30,
+    help: 'number of days after which unused code is evicted from the code cache'
+  },
   {
     name: 'activity-arn',
     abbr: 'a',
@@ -66,6 +110,174 @@ const cliOptions = createCliOptions([
     help: 'interval in milliseconds between sending heartbeat messages to the state machine. '
       + 'default is null, which disables the heartbeat'
   },
+  {
+    name: 'concurrency',
+    default: 1,
+    help: 'number of activity tasks or sqs messages to execute at the same time. default is 1'
+  },
+  {
+    name: 'batch-size',
+    alias: ['batchSize'],
+    default: 1,
+    help: 'number of messages to receive from the sqs queue at a time, up to 10. default is 1'
+  },
+  {
+    name: 'task-token-path',
+    alias: ['taskTokenPath'],
+    default: null,
+    help: 'JSON path to the step functions task token in sqs messages sent by a '
+      + '.waitForTaskToken integration, e.g. $.TaskToken. task results are reported to step '
+      + 'functions when it is set'
+  },
+  {
+    name: 'task-input-path',
+    alias: ['taskInputPath'],
+    default: null,
+    help: 'JSON path to the handler input in sqs messages with a task token, e.g. $.Input. '
+      + 'default is the message without its task token'
+  },
+  {
+    name: 'max-receive-count',
+    alias: ['maxReceiveCount'],
+    default: null,
+    help: 'number of times an sqs message whose task fails is received before it is given up '
+      + 'on. default is null, which leaves failed messages to the queue\'s redrive policy'
+  },
+  {
+    name: 'failure-queue-url',
+    alias: ['failureQueueUrl'],
+    default: null,
+    help: 'the url to an sqs queue that messages which are given up on or could not be parsed '
+      + 'are forwarded to, along with their error'
+  },
+  {
+    name: 'visibility-timeout',
+    alias: ['visibilityTimeout'],
+    default: 30,
+    help: 'seconds a received sqs message stays invisible to other consumers. it is extended '
+      + 'while the message\'s task runs. default is 30'
+  },
+  {
+    name: 'reload-interval',
+    alias: ['reloadInterval'],
+    default: null,
+    help: 'interval in milliseconds between checks for a redeployed lambda function, which is '
+      + 'installed between tasks. default is null, which disables reloading'
+  },
+  {
+    name: 'task-timeout',
+    alias: ['taskTimeout'],
+    default: null,
+    help: 'number of seconds a task may run before it fails with a States.Timeout error. '
+      + 'default is null, which uses the lambda function\'s configured timeout, or no '
+      + 'timeout for --lambda-zip and --lambda-dir'
+  },
+  {
+    name: 'environment-precedence',
+    alias: ['environmentPrecedence'],
+    default: 'container',
+    help: 'which environment variable values win when both the container and the lambda '
+      + 'function set them: container or lambda. default is container'
+  },
+  {
+    name: 'output-bucket',
+    alias: ['outputBucket'],
+    default: null,
+    help: 'bucket to offload task outputs that are too large for step functions to. default is '
+      + 'null, which fails such tasks with a PayloadTooLarge error'
+  },
+  {
+    name: 'output-prefix',
+    alias: ['outputPrefix'],
+    default: 'cumulus-ecs-task/outputs/',
+    help: 'key prefix for offloaded task outputs. default is cumulus-ecs-task/outputs/'
+  },
+  {
+    name: 's3-endpoint',
+    alias: ['s3Endpoint'],
+    default: null,
+    help: 'endpoint of an S3-compatible service to offload task outputs to instead of S3'
+  },
+  {
+    name: 'report-retries',
+    alias: ['reportRetries'],
+    default: 5,
+    help: 'number of times to retry reporting a task\'s result to step functions after '
+      + 'throttling or transient errors. default is 5'
+  },
+  {
+    name: 'report-retry-delay',
+    alias: ['reportRetryDelay'],
+    default: 1000,
+    help: 'milliseconds before the first retry of a task report, doubling for each retry '
+      + 'after it. default is 1000'
+  },
+  {
+    name: 'shutdown-grace-period',
+    alias: ['shutdownGracePeriod'],
+    default: 25,
+    help: 'number of seconds running tasks may take to finish after SIGTERM or SIGINT before '
+      + 'they are failed or released. default is 25'
+  },
+  {
+    name: 'poll-backoff-delay',
+    alias: ['pollBackoffDelay'],
+    default: 1000,
+    help: 'milliseconds, with jitter, to wait before polling again after a poll fails, doubling '
+      + 'for each failure in a row up to a minute. default is 1000'
+  },
+  {
+    name: 'max-poll-failures',
+    alias: ['maxPollFailures'],
+    default: 10,
+    help: 'number of polls in a row that may fail before the service exits with code 1, so the '
+      + 'container can be replaced. 0 never exits. default is 10'
+  },
+  {
+    name: 'log-level',
+    alias: ['logLevel'],
+    default: process.env.LOG_LEVEL || 'info',
+    help: `least severe level to log, one of ${Logger.levels.join(', ')}. `
+      + 'default is the LOG_LEVEL environment variable, or info'
+  },
+  {
+    name: 'capture-handler-output',
+    alias: ['captureHandlerOutput'],
+    boolean: true,
+    help: 'log what the handler writes with console or to stdout and stderr as JSON log '
+      + 'entries tied to the task, instead of as raw text'
+  },
+  {
+    name: 'metrics-port',
+    alias: ['metricsPort'],
+    help: 'port to serve Prometheus metrics on at /metrics. metrics are not served if not set'
+  },
+  {
+    name: 'health-port',
+    alias: ['healthPort'],
+    help: 'port to serve the /healthz and /readyz checks on, which may be the metrics port. '
+      + 'checks are not served if not set'
+  },
+  {
+    name: 'health-poll-window',
+    alias: ['healthPollWindow'],
+    default: 600,
+    help: 'number of seconds the service may go without completing a poll for work, while '
+      + 'no task is running, before /healthz reports it unhealthy. default is 600'
+  },
+  {
+    name: 'emit-emf',
+    alias: ['emitEmf'],
+    boolean: true,
+    help: 'log each task\'s metrics in CloudWatch Embedded Metric Format, so they become '
+      + 'CloudWatch metrics through the container\'s log stream'
+  },
+  {
+    name: 'emf-namespace',
+    alias: ['emfNamespace'],
+    default: 'CumulusEcsTask',
+    help: 'CloudWatch namespace of the metrics logged with --emit-emf. default is CumulusEcsTask'
+  },
   {
     name: 'help',
     abbr: 'h',
@@ -82,6 +294,14 @@ if (argv.help) {
   process.exit(0);
 }
 
+argv.logLevel = String(argv.logLevel).toLowerCase();
+if (!Logger.levels.includes(argv.logLevel)) {
+  console.error(`--log-level must be one of ${Logger.levels.join(', ')}`);
+  process.exit(1);
+}
+// applies to every logger created without a level, including the library's
+Logger.setDefaultLevel(argv.logLevel);
+
 log.info('Starting the cumulus-ecs-task runner ...');
 
 rimraf.sync(argv.taskDirectory);
@@ -92,29 +312,116 @@ fs.mkdirSync(argv.workDirectory);
 
 // Copies the runtime node_modules to our task directory. This is necessary to make sure
 // we get the same depenencies available to us as in the Lambda environment.
-fs.cpSync(
-  '/var/runtime/node_modules',
-  path.join(argv.taskDirectory, 'node_modules'),
-  { recursive: true }
-);
+// The runtime is only present in the Docker image, not when running locally.
+const runtimeModulesDir = '/var/runtime/node_modules';
+if (fs.existsSync(runtimeModulesDir)) {
+  fs.cpSync(
+    runtimeModulesDir,
+    path.join(argv.taskDirectory, 'node_modules'),
+    { recursive: true }
+  );
+}
+
+// Stops polling on SIGTERM or SIGINT, and cancels running tasks once the grace
+// period ends
+const shutdownManager = new ShutdownManager({
+  gracePeriod: argv.shutdownGracePeriod,
+  logger: log
+}).listen();
+argv.shutdownManager = shutdownManager;
 
+// The HTTP endpoints to serve, by port and then by path. Each returns the
+// response's status code, content type and body
+const endpoints = new Map();
+
+/**
+ * Serve an endpoint, sharing one server between the endpoints on a port
+ *
+ * @param {number} port - the port to serve the endpoint on
+ * @param {string} urlPath - the endpoint's path
+ * @param {Function} respond - returns the endpoint's `statusCode`, `contentType` and `body`
+ * @returns {undefined} no return value
+ */
+function addEndpoint(port, urlPath, respond) {
+  if (!endpoints.has(port)) endpoints.set(port, new Map());
+  endpoints.get(port).set(urlPath, respond);
+}
+
+/**
+ * Respond with the worker's status, with a 503 status code unless it passes `check`
+ *
+ * @param {string} check - `healthy` or `ready`
+ * @returns {Object} the response
+ */
+function statusResponse(check) {
+  const status = workerStatus.check({
+    pollWindow: argv.healthPollWindow,
+    stopping: shutdownManager.stopping
+  });
+  return {
+    statusCode: status[check] ? 200 : 503,
+    contentType: 'application/json',
+    body: JSON.stringify(status)
+  };
+}
+
+if (argv.metricsPort) {
+  addEndpoint(argv.metricsPort, '/metrics', () => ({
+    statusCode: 200,
+    contentType: Metrics.contentType,
+    body: metrics.render()
+  }));
+}
+if (argv.healthPort) {
+  addEndpoint(argv.healthPort, '/healthz', () => statusResponse('healthy'));
+  addEndpoint(argv.healthPort, '/readyz', () => statusResponse('ready'));
+}
+
+endpoints.forEach((routes, port) => {
+  const paths = Array.from(routes.keys()).join(', ');
+  http.createServer((req, res) => {
+    const respond = req.method === 'GET' && routes.get(req.url.split('?')[0]);
+    if (respond) {
+      const { statusCode, contentType, body } = respond();
+      res.writeHead(statusCode, { 'Content-Type': contentType });
+      res.end(body);
+    }
+    else {
+      res.writeHead(404);
+      res.end();
+    }
+  })
+    .on('error', (err) => log.error(`Could not serve ${paths} on port ${port}`, err))
+    .listen(port, () => log.info(`Serving ${paths} on port ${port}`))
+    .unref();
+});
+
+let run;
 if (argv.activityArn) {
-  runServiceFromActivity(argv).catch(console.error);
+  run = runServiceFromActivity(argv);
 }
 else if (argv.sqsUrl) {
-  runServiceFromSQS(argv).catch(console.error);
+  run = runServiceFromSQS(argv);
 }
 else if (argv.lambdaInput) {
   argv.lambdaInput = JSON.parse(argv.lambdaInput);
-  runTask(argv).catch(console.error);
+  run = runTask(argv);
 }
 else {
   log.error('You must provide one of the following options: activity-arn, sqs-url, lambda-input');
   process.exit(1);
 }
 
-process.on('SIGINT', () => {
-  log.info('Doing some cleanup work before quitting!');
-  rimraf.sync(argv.workDirectory);
-  process.exit();
-});
+// Exits with 1 if the runner failed or running tasks had to be cancelled
+run
+  .then(() => shutdownManager.exitCode, (err) => {
+    console.error(err);
+    return 1;
+  })
+  .then((exitCode) => {
+    log.info('Doing some cleanup work before quitting!');
+    shutdownManager.close();
+    rimraf.sync(argv.workDirectory);
+    rimraf.sync(argv.taskDirectory);
+    process.exit(exitCode);
+  });
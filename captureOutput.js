@@ -0,0 +1,184 @@
+/* eslint no-console: "off" */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { format } = require('util');
+
+// The log level and stream of each console method
+const consoleMethods = {
+  debug: { level: 'debug', stream: 'stdout' },
+  error: { level: 'error', stream: 'stderr' },
+  info: { level: 'info', stream: 'stdout' },
+  log: { level: 'info', stream: 'stdout' },
+  trace: { level: 'trace', stream: 'stderr' },
+  warn: { level: 'warn', stream: 'stderr' }
+};
+
+// The log level of output written straight to each stream
+const streamLevels = { stdout: 'info', stderr: 'error' };
+
+// The capture the current asynchronous context writes to, if any
+const storage = new AsyncLocalStorage();
+
+// The original console methods and stream writes, while they are patched
+const originals = {};
+
+// The number of captures running, so the patches are removed once none are
+let activeCaptures = 0;
+
+// Captures that have ended, whose context may still be writing output
+const endedCaptures = new WeakSet();
+
+// Set while a capture writes a log entry, so the entry itself is not captured
+let emitting = false;
+
+/**
+ * Write captured output to a capture's logger
+ *
+ * @param {Object} capture - the capture
+ * @param {string} level - the log level
+ * @param {string} message - the output
+ * @param {string} stream - `stdout` or `stderr`
+ * @returns {undefined} no return value
+ */
+function emit(capture, level, message, stream) {
+  emitting = true;
+  try {
+    capture.logger.writeMessage(level, message, { stream });
+  }
+  finally {
+    emitting = false;
+  }
+}
+
+/**
+ * Write out output that was written to a stream without a trailing newline
+ *
+ * @param {Object} capture - the capture
+ * @param {string} stream - `stdout` or `stderr`
+ * @returns {undefined} no return value
+ */
+function flush(capture, stream) {
+  const buffered = capture.buffers.get(stream);
+  if (buffered) {
+    capture.buffers.set(stream, '');
+    emit(capture, streamLevels[stream], buffered, stream);
+  }
+}
+
+/**
+ * Get the capture for the current asynchronous context
+ *
+ * @returns {Object|undefined} the capture, or undefined if output is not being captured
+ */
+function currentCapture() {
+  const capture = emitting ? undefined : storage.getStore();
+  return capture && !endedCaptures.has(capture) ? capture : undefined;
+}
+
+/**
+ * Replace the console methods and stream writes with ones that send output
+ * written within a capture to its logger
+ *
+ * @returns {undefined} no return value
+ */
+function patch() {
+  Object.entries(consoleMethods).forEach(([method, { level, stream }]) => {
+    const original = console[method];
+    originals[method] = original;
+    console[method] = function capturedConsoleMethod(...args) {
+      const capture = currentCapture();
+      if (!capture) return original.apply(this, args);
+      flush(capture, stream);
+      return emit(capture, level, format(...args), stream);
+    };
+  });
+
+  Object.keys(streamLevels).forEach((stream) => {
+    const original = process[stream].write;
+    originals[stream] = original;
+    process[stream].write = function capturedWrite(chunk, encoding, callback) {
+      const capture = currentCapture();
+      if (!capture) return original.call(this, chunk, encoding, callback);
+
+      const text = typeof chunk === 'string'
+        ? chunk
+        : Buffer.from(chunk).toString(typeof encoding === 'string' ? encoding : 'utf8');
+      const buffered = capture.buffers.get(stream) + text;
+      if (buffered.endsWith('\n')) {
+        capture.buffers.set(stream, buffered.slice(0, -1));
+        flush(capture, stream);
+      }
+      else {
+        capture.buffers.set(stream, buffered);
+      }
+
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (done) process.nextTick(done);
+      return true;
+    };
+  });
+}
+
+/**
+ * Restore the original console methods and stream writes
+ *
+ * @returns {undefined} no return value
+ */
+function unpatch() {
+  Object.keys(consoleMethods).forEach((method) => {
+    console[method] = originals[method];
+  });
+  Object.keys(streamLevels).forEach((stream) => {
+    process[stream].write = originals[stream];
+  });
+}
+
+/**
+ * End a capture, writing out its buffered output, and remove the patches once no
+ * captures are running.  Output written within an ended capture is no longer
+ * captured.
+ *
+ * @param {Object} capture - the capture
+ * @returns {undefined} no return value
+ */
+function endCapture(capture) {
+  if (endedCaptures.has(capture)) return;
+  Object.keys(streamLevels).forEach((stream) => flush(capture, stream));
+  endedCaptures.add(capture);
+  activeCaptures -= 1;
+  if (activeCaptures === 0) unpatch();
+}
+
+/**
+ * Run `fn`, sending everything it writes with `console.*` or straight to stdout
+ * or stderr to `logger` as log entries instead of raw text.  Output is tracked
+ * through `fn`'s asynchronous context, so concurrent captures each get only
+ * their own output.  Each console call or newline-terminated write becomes one
+ * entry, keeping multi-line output together, with a `stream` field of `stdout`
+ * or `stderr`.  The capture ends when `fn` settles or `signal` is aborted,
+ * whichever comes first, and output `fn` writes after that is not captured.
+ *
+ * @param {Logger} logger - the logger to send output to
+ * @param {Function} fn - the function to run
+ * @param {AbortSignal} [signal] - signal that ends the capture while `fn` is still running
+ * @returns {Promise} resolves or rejects like `fn`
+ */
+async function captureOutput(logger, fn, signal) {
+  const capture = { logger, buffers: new Map([['stdout', ''], ['stderr', '']]) };
+  if (activeCaptures === 0) patch();
+  activeCaptures += 1;
+  // eslint-disable-next-line require-jsdoc
+  const end = () => endCapture(capture);
+  if (signal) signal.addEventListener('abort', end, { once: true });
+  try {
+    return await storage.run(capture, fn);
+  }
+  finally {
+    if (signal) signal.removeEventListener('abort', end);
+    end();
+  }
+}
+
+module.exports = captureOutput;
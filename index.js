@@ -3,11 +3,13 @@
 'use strict';
 
 const https = require('https');
+const { createHash, randomBytes, randomUUID } = require('crypto');
+const castArray = require('lodash/castArray');
+const get = require('lodash/get');
 const isBoolean = require('lodash/isBoolean');
+const omit = require('lodash/omit');
+const truncate = require('lodash/truncate');
 const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
-const execPromise = promisify(exec);
 
 const assert = require('assert');
 const pRetry = require('p-retry');
@@ -20,8 +22,10 @@ const {
 const {
   Lambda,
   GetFunctionCommand,
+  GetFunctionConfigurationCommand,
   GetLayerVersionByArnCommand
 } = require('@aws-sdk/client-lambda');
+const { PutObjectCommand, S3 } = require('@aws-sdk/client-s3');
 const {
   GetActivityTaskCommand,
   SendTaskFailureCommand,
@@ -30,13 +34,24 @@ const {
   SFN
 } = require('@aws-sdk/client-sfn');
 const {
+  ChangeMessageVisibilityBatchCommand,
+  ChangeMessageVisibilityCommand,
   DeleteMessageCommand,
   ReceiveMessageCommand,
+  SendMessageCommand,
   SQS
 } = require('@aws-sdk/client-sqs');
 const fs = require('fs');
 
+const CodeCache = require('./CodeCache');
+const extractZip = require('./unzip');
+const captureOutput = require('./captureOutput');
+const invokeHandler = require('./invokeHandler');
 const Logger = require('./Logger');
+const Metrics = require('./Metrics');
+const PollBackoff = require('./PollBackoff');
+const ShutdownManager = require('./ShutdownManager');
+const WorkerStatus = require('./WorkerStatus');
 const log = new Logger();
 
 /**
@@ -46,6 +61,79 @@ const log = new Logger();
 
 const region = process.env.AWS_DEFAULT_REGION || 'us-east-1';
 const layersDefaultDirectory = '/opt/';
+const environmentPrecedences = ['container', 'lambda'];
+
+// How many times a download whose SHA-256 does not match is attempted
+const maxChecksumAttempts = 3;
+// Step Functions errors meaning a task token no longer accepts a result
+const invalidTaskTokenErrors = ['TaskTimedOut', 'InvalidToken'];
+// Step Functions' limits on the lengths of a task failure's error and cause
+const maxTaskFailureErrorLength = 256;
+const maxTaskFailureCauseLength = 32768;
+// Step Functions' limit on the size of a task's output, in bytes
+const maxTaskOutputBytes = 256 * 1024;
+const defaultOutputPrefix = 'cumulus-ecs-task/outputs/';
+// How reporting a task's result to Step Functions is retried by default
+const defaultReportRetries = 5;
+const defaultReportRetryDelay = 1000;
+// The error name given to a task result that could not be reported
+const reportFailedError = 'TaskReportFailed';
+// Step Functions errors worth retrying besides 5xx responses and errors the
+// SDK marks as retryable
+const transientErrorNames = ['ThrottlingException', 'TimeoutError', 'RequestTimeout'];
+const transientErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// The Step Functions client shared by every call, created on first use
+let stepFunctionsClient;
+
+// SQS's own defaults: the most messages a receive can return, and the
+// visibility timeout of a new queue
+const maxSqsBatchSize = 10;
+const defaultVisibilityTimeoutSeconds = 30;
+// SQS's limit on the size of a message body, in bytes
+const maxSqsMessageBytes = 256 * 1024;
+// The error names given to SQS messages that can never succeed: a body that
+// is not valid JSON, or a missing task token
+const unparseableMessageError = 'UnparseableMessage';
+const missingTaskTokenError = 'MissingTaskToken';
+
+// Lambda's own defaults, used when the function configuration omits them
+const defaultLambdaTimeoutSeconds = 3;
+const defaultLambdaMemorySize = 128;
+// The longest delay setTimeout accepts, the most getRemainingTimeInMillis returns
+// so handlers can set timers from it
+const maxRemainingTimeMillis = (2 ** 31) - 1;
+
+// Metrics about the work this process has done, which `bin/service.js` serves
+// when `--metrics-port` is set
+const metrics = new Metrics({ prefix: 'cumulus_ecs_task_' });
+const workerMetrics = {
+  tasksStarted: metrics.counter('tasks_started_total', 'Tasks whose handler was invoked'),
+  tasksSucceeded: metrics.counter('tasks_succeeded_total', 'Tasks that succeeded and whose result was reported'),
+  tasksFailed: metrics.counter('tasks_failed_total', 'Tasks that failed, timed out, were cancelled or whose result could not be reported'),
+  tasksInFlight: metrics.gauge('tasks_in_flight', 'Tasks whose handler is running'),
+  handlerDuration: metrics.histogram('handler_duration_seconds', 'How long handlers ran for', [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900]),
+  pollDuration: metrics.histogram('poll_duration_seconds', 'How long successful polls for work took', [0.05, 0.1, 0.5, 1, 5, 10, 20, 30, 65]),
+  emptyPolls: metrics.counter('empty_polls_total', 'Polls for work that returned nothing'),
+  pollErrors: metrics.counter('poll_errors_total', 'Polls for work that failed'),
+  heartbeatFailures: metrics.counter('heartbeat_failures_total', 'Task heartbeats that failed'),
+  installDuration: metrics.histogram('lambda_install_duration_seconds', 'How long downloading and installing the Lambda function took', [0.5, 1, 5, 10, 30, 60, 120, 300]),
+  unparseableMessages: metrics.counter('unparseable_messages_total', 'SQS messages whose body could not be parsed as JSON')
+};
+
+// The CloudWatch namespace of the task metrics logged in Embedded Metric Format
+const defaultEmfNamespace = 'CumulusEcsTask';
+
+// Whether this process is ready for work and making progress, which
+// `bin/service.js` reports when `--health-port` is set
+const workerStatus = new WorkerStatus();
+
+// The Lambda function environment variables most recently applied to the process
+const appliedLambdaVariables = new Map();
+
+// Identifies this container in the context's logStreamName, the way Lambda
+// identifies an execution environment
+const executionEnvironmentId = randomBytes(16).toString('hex');
 
 // eslint-disable-next-line require-jsdoc
 const isLambdaFunctionArn = (id) => id.startsWith('arn:aws:lambda');
@@ -65,58 +153,210 @@ function getFunctionName(lambdaId) {
  *
  * @param {string} url - the URL to fetch
  * @param {string} destinationFilename - the filename to write the file to
- * @returns {Promise<undefined>} resolves when file has been downloaded
+ * @returns {Promise<string>} resolves to the base64-encoded SHA-256 of the file
+ *                            when it has been downloaded
  */
 function tryToDownloadFile(url, destinationFilename) {
-  const file = fs.createWriteStream(destinationFilename);
   return new Promise((resolve, reject) => {
-    file.on('error', reject);
-    file.on('finish', () => file.close());
-    file.on('close', resolve);
+    https
+      .get(url, (res) => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          const err = new Error(`Failed to download ${destinationFilename}: received HTTP ${res.statusCode}`
+            + `${res.statusCode === 403 ? ', the download URL may have expired' : ''}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+          return;
+        }
 
-    return https
-      .get(url, (res) => res.pipe(file))
+        const hash = createHash('sha256');
+        const file = fs.createWriteStream(destinationFilename);
+        file.on('error', reject);
+        file.on('finish', () => file.close());
+        file.on('close', () => resolve(hash.digest('base64')));
+
+        res.on('data', (chunk) => hash.update(chunk));
+        res.on('error', reject);
+        res.pipe(file);
+      })
       .on('error', reject);
   });
 }
 
+// eslint-disable-next-line require-jsdoc
+const getLambdaId = (options) => options.lambdaArn || path.basename(options.lambdaZip || options.lambdaDir, '.zip');
+
 // eslint-disable-next-line require-jsdoc
 const getLogSenderFromLambdaId = (lambdaId) => `cumulus-ecs-task/${getFunctionName(lambdaId)}`;
 
 /**
- * Download a URL and save it to a file.  If an ETIMEDOUT error is received,
- * retry the download with an incremental backoff.
+ * Download a URL and save it to a file.  If an ETIMEDOUT error or a server error
+ * is received, retry the download with an incremental backoff.  If
+ * `expectedSha256` is set, the file's SHA-256 is checked against it and the
+ * download is retried on a mismatch, up to `maxChecksumAttempts` times.
  *
  * @param {string} url - the URL to fetch
  * @param {string} destinationFilename - the filename to write the file to
+ * @param {string} [expectedSha256] - the expected base64-encoded SHA-256 of the file,
+ *                                    e.g. the function's `CodeSha256`
  * @returns {Promise<undefined>} resolves when file has been downloaded
  */
-function downloadFile(url, destinationFilename) {
-  return pRetry(() => tryToDownloadFile(url, destinationFilename).catch((err) => {
-    if (err.code === 'ETIMEDOUT') {
+function downloadFile(url, destinationFilename, expectedSha256) {
+  let checksumAttempts = 0;
+  return pRetry(async() => {
+    let sha256;
+    try {
+      sha256 = await tryToDownloadFile(url, destinationFilename);
+    }
+    catch (err) {
+      if (err.code === 'ETIMEDOUT' || err.statusCode >= 500) {
+        throw err;
+      }
+      throw new pRetry.AbortError(err);
+    }
+
+    if (expectedSha256 && sha256 !== expectedSha256) {
+      checksumAttempts += 1;
+      const err = new Error(`SHA-256 of ${destinationFilename} is ${sha256}, expected ${expectedSha256}`);
+      log.error(`Downloaded code failed verification, attempt ${checksumAttempts} of ${maxChecksumAttempts}`, err);
+      if (checksumAttempts >= maxChecksumAttempts) {
+        throw new pRetry.AbortError(new Error(`Downloaded code failed verification after ${checksumAttempts} attempts: ${err.message}`));
+      }
       throw err;
     }
-    throw new pRetry.AbortError(err);
-  }));
+  });
+}
+
+/**
+ * Extract a lambda function or layer into a directory.  Zip files are unzipped
+ * and directories are copied.
+ *
+ * @param {string} sourcePath - path to the zip file or directory
+ * @param {string} destinationDir - the dir to extract the code to
+ * @returns {Promise<Array<string>>} resolves to the paths of the extracted files,
+ *                                   relative to `destinationDir`
+ */
+async function extractCode(sourcePath, destinationDir) {
+  if (fs.statSync(sourcePath).isDirectory()) {
+    fs.cpSync(sourcePath, destinationDir, { recursive: true, verbatimSymlinks: true });
+    return fs.readdirSync(sourcePath, { recursive: true })
+      .filter((file) => !fs.lstatSync(path.join(sourcePath, file)).isDirectory());
+  }
+  return extractZip(sourcePath, destinationDir);
+}
+
+/**
+ * Extract layers into the layers directory one at a time, in the order they are
+ * configured for the function, so that a file in a later layer overrides the
+ * same file in an earlier one, as it does in Lambda.  Overwritten files are logged.
+ *
+ * @param {Array<Object>} layers - the layers' `arn` and the `path` to their code
+ * @param {string} layerDir - the dir where layers are to be extracted/used.  Generally /opt.
+ * @returns {Promise<Object>} the layer manifest, with the `layers` in the order they
+ *   were extracted, the layer each extracted file came from in `files`, and the
+ *   files a later layer `overwritten`
+ */
+async function extractLayers(layers, layerDir) {
+  const manifest = { layers: [], files: {}, overwritten: [] };
+
+  await layers.reduce(async(previousExtraction, layer) => {
+    await previousExtraction;
+    const files = await extractCode(layer.path, layerDir);
+
+    const overwritten = files.filter((file) => manifest.files[file]);
+    if (overwritten.length > 0) {
+      log.info(`Layer ${layer.arn} overwrote ${overwritten.map((file) => `${file} from ${manifest.files[file]}`).join(', ')}`);
+    }
+    overwritten.forEach((file) => manifest.overwritten.push({
+      file, layer: manifest.files[file], overwrittenBy: layer.arn
+    }));
+    files.forEach((file) => {
+      manifest.files[file] = layer.arn;
+    });
+    manifest.layers.push(layer.arn);
+  }, Promise.resolve());
+
+  return manifest;
 }
 
 /**
- * Downloads an array of layers from AWS
+ * Download the code of a lambda function or layer.  If a code cache is in use and
+ * `cacheKey` is set, the code is extracted into the cache and the path to the
+ * cache entry is returned instead, and a cached entry is reused without downloading.
+ *
+ * @param {string} url - the URL to fetch
+ * @param {string} destinationFilename - the filename to write the zip file to
+ * @param {Object} [options] - options object
+ * @param {string} [options.codeSha256] - the code's `CodeSha256`, to verify the download
+ * @param {CodeCache} [options.codeCache] - the code cache, if any
+ * @param {string} [options.cacheType] - the type of code, `function` or `layer`
+ * @param {string} [options.cacheKey] - the function's `CodeSha256` or layer's version ARN
+ * @returns {Promise<string>} resolves to the path of the zip file or cache entry
+ */
+async function downloadCode(url, destinationFilename, options = {}) {
+  const {
+    codeSha256, codeCache, cacheType, cacheKey
+  } = options;
+  if (!codeCache || !cacheKey) {
+    await downloadFile(url, destinationFilename, codeSha256);
+    return destinationFilename;
+  }
+
+  const cachedPath = codeCache.get(cacheType, cacheKey);
+  if (cachedPath) {
+    log.info(`Using cached ${cacheType} code for ${cacheKey}`);
+    return cachedPath;
+  }
+
+  await downloadFile(url, destinationFilename, codeSha256);
+  const entryPath = await codeCache.add(
+    cacheType, cacheKey, (dir) => extractCode(destinationFilename, dir)
+  );
+  fs.rmSync(destinationFilename, { force: true });
+  log.info(`Cached ${cacheType} code for ${cacheKey}`);
+  return entryPath;
+}
+
+/**
+ * Downloads an array of layers from AWS.  The downloads run concurrently but the
+ * result keeps the order of `layers`, which is the order they must be extracted in.
  *
  * @param {Array<Object>} layers - list of layer config objects to download
  * @param {Array<string>} layersDir - path to download the files to, generally '/opt'
- * @returns {Promise<Array>}  - returns an array of promises that resolve to a
- *                              filepath strings to downloaded layer .zips
+ * @param {CodeCache} [codeCache] - the code cache, if any
+ * @returns {Promise<Array<Object>>} - resolves to each layer's version `arn` and the
+ *                                    `path` to its downloaded .zip, or to its cached
+ *                                    directory
  */
-async function downloadLayers(layers, layersDir) {
-  const layerDownloadPromises = layers.map((layer) => {
+async function downloadLayers(layers, layersDir, codeCache) {
+  const layerDownloadPromises = layers.map(async(layer) => {
     log.info(`Adding layer ${JSON.stringify(layer)} to container`);
     const filePath = `${layersDir}/${getFunctionName(layer.LayerArn)}.zip`;
-    return downloadFile(layer.Content.Location, filePath).then(() => filePath);
+    const layerPath = await downloadCode(layer.Content.Location, filePath, {
+      codeSha256: layer.Content.CodeSha256,
+      codeCache,
+      cacheType: 'layer',
+      cacheKey: layer.LayerVersionArn
+    });
+    return { arn: layer.LayerVersionArn || layer.LayerArn, path: layerPath };
   });
   return Promise.all(layerDownloadPromises);
 }
 
+/**
+ * Split a Lambda handler setting, e.g. `index.handler`, into its module and function names
+ *
+ * @param {string} handlerId - the handler setting
+ * @returns {Object} the `moduleFileName` and `moduleFunctionName` of the handler
+ */
+function parseHandler(handlerId) {
+  const moduleFn = handlerId.split('.');
+  return {
+    moduleFileName: moduleFn[0],
+    moduleFunctionName: moduleFn[1]
+  };
+}
+
 /**
 * Download the zip file of a lambda function from AWS
 * and it's associated layer .zip files, if any.
@@ -124,44 +364,83 @@ async function downloadLayers(layers, layersDir) {
 * @param {string} arn - the arn of the lambda function
 * @param {string} workDir - the dir to download the lambda function to
 * @param {string} layersDir - the dir layers will be downloaded to
+* @param {CodeCache} [codeCache] - the code cache, if any
 * @returns {Promise<Object>} returns an object that includes `filepath`,
 * `moduleFileName`, `moduleFunctionName` arguments.
-* The `filepath` is the path to the zip file of the lambda function.
+* The `filepath` is the path to the zip file of the lambda function, or to its
+* cached directory.
 * The `moduleFileName` is the filename of the node module.
 * The `moduleFunctionName` is the name of the exported function to call in the module.
-* The `layerPaths` is an array of filepaths to downloaded layer zip files
+* The `layers` is an array of the `arn` and `path` of each downloaded layer zip file,
+* in the order they are configured for the function.
+* The `configuration` is the function configuration returned by the Lambda API
 **/
-async function getLambdaSource(arn, workDir, layersDir) {
+async function getLambdaSource(arn, workDir, layersDir, codeCache) {
   const lambda = new Lambda({ apiVersion: '2015-03-31', region });
 
   const data = await lambda.send(new GetFunctionCommand({ FunctionName: arn }));
 
   const codeUrl = data.Code.Location;
-  const handlerId = data.Configuration.Handler;
-  const moduleFn = handlerId.split('.');
-  const moduleFileName = moduleFn[0];
-  const moduleFunctionName = moduleFn[1];
+  const { moduleFileName, moduleFunctionName } = parseHandler(data.Configuration.Handler);
 
-  let layerPaths = [];
+  let layers = [];
   if (data.Configuration.Layers) {
-    const layers = data.Configuration.Layers;
     const layerConfigs = await Promise.all(
-      layers.map(async(layer) => {
+      data.Configuration.Layers.map(async(layer) => {
         const getLayerVersionByArnCommand = new GetLayerVersionByArnCommand({ Arn: layer.Arn });
         return lambda.send(getLayerVersionByArnCommand);
       })
     );
 
-    layerPaths = await downloadLayers(layerConfigs, layersDir);
+    layers = await downloadLayers(layerConfigs, layersDir, codeCache);
   }
 
-  const filepath = path.join(workDir, 'fn.zip');
-  await downloadFile(codeUrl, filepath);
+  const { CodeSha256 } = data.Configuration;
+  const filepath = await downloadCode(codeUrl, path.join(workDir, 'fn.zip'), {
+    codeSha256: CodeSha256,
+    codeCache,
+    cacheType: 'function',
+    cacheKey: CodeSha256
+  });
   return {
     filepath,
     moduleFileName,
     moduleFunctionName,
-    layerPaths
+    layers,
+    configuration: data.Configuration
+  };
+}
+
+/**
+* Describe a lambda function whose code is a local zip file or directory, in the
+* same shape as `getLambdaSource`, without calling the Lambda API
+*
+* @param {Object} options - options object
+* @param {string} [options.lambdaArn] - the arn or name of the lambda function, if any
+* @param {string} [options.lambdaZip] - path to the zip file of the lambda function
+* @param {string} [options.lambdaDir] - path to the directory of the lambda function
+* @param {string} options.handler - the handler setting, e.g. `index.handler`
+* @param {Array<string>|string} [options.layers] - paths to layer zip files or directories
+* @returns {Object} returns an object with the same fields as `getLambdaSource`. The
+* `filepath` is a zip file or directory, and so is the `path` of each of the `layers`.
+**/
+function getLocalLambdaSource(options) {
+  const filepath = options.lambdaZip || options.lambdaDir;
+  const { moduleFileName, moduleFunctionName } = parseHandler(options.handler);
+
+  log.info(`Using the local Lambda function code at ${filepath}`);
+  return {
+    filepath,
+    moduleFileName,
+    moduleFunctionName,
+    layers: castArray(options.layers || []).map((layerPath) => ({
+      arn: layerPath,
+      path: layerPath
+    })),
+    configuration: {
+      FunctionName: getFunctionName(getLambdaId(options)),
+      Handler: options.handler
+    }
   };
 }
 
@@ -182,72 +461,775 @@ function setCumulusMessageAdapterPath(taskDir, layerDir) {
   process.env.CUMULUS_MESSAGE_ADAPTER_DIR = adapterPath;
 }
 
+/**
+ * Applies the Lambda function's environment variables and Lambda's reserved
+ * runtime variables to the process environment.  Reserved variables are always
+ * set, as they are in Lambda.  Values applied by an earlier call, e.g. before the
+ * function was reloaded, are replaced or removed rather than treated as the
+ * container's own.
+ *
+ * @param {Object} configuration - the function configuration returned by the Lambda API
+ * @param {string} taskDir - the dir where the lambda function is located
+ * @param {string} [environmentPrecedence='container'] - `container` to keep values
+ *   already set in the container's environment, `lambda` to replace them with
+ *   the function's values
+ * @returns {undefined} - no return value
+ */
+function setLambdaEnvironment(configuration, taskDir, environmentPrecedence = 'container') {
+  const variables = (configuration.Environment && configuration.Environment.Variables) || {};
+  // eslint-disable-next-line require-jsdoc
+  const isAppliedValue = (name) => appliedLambdaVariables.get(name) === process.env[name];
+
+  appliedLambdaVariables.forEach((_value, name) => {
+    if (!(name in variables) && isAppliedValue(name)) {
+      delete process.env[name];
+    }
+  });
+  appliedLambdaVariables.clear();
+
+  Object.keys(variables).forEach((name) => {
+    if (environmentPrecedence === 'container' && process.env[name] !== undefined
+      && !isAppliedValue(name)) {
+      log.info(`Keeping the container's value of ${name} over the Lambda function's`);
+    }
+    else {
+      process.env[name] = variables[name];
+      appliedLambdaVariables.set(name, variables[name]);
+    }
+  });
+
+  const reservedVariables = {
+    AWS_LAMBDA_FUNCTION_NAME: configuration.FunctionName,
+    AWS_LAMBDA_FUNCTION_VERSION: configuration.Version || '$LATEST',
+    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(configuration.MemorySize || defaultLambdaMemorySize),
+    LAMBDA_TASK_ROOT: taskDir,
+    _HANDLER: configuration.Handler
+  };
+  Object.keys(reservedVariables).forEach((name) => {
+    if (reservedVariables[name] !== undefined) {
+      process.env[name] = reservedVariables[name];
+    }
+  });
+}
+
+/**
+* Download a lambda function's code and layers and extract them into
+* `taskDirectory` and `layerDir`.  If `options.lambdaZip` or `options.lambdaDir`
+* is set, the local code is used instead and the Lambda API is not called.
+*
+* @param {Object} options - options object, see `runTask`
+* @param {string} taskDirectory - the dir to extract the function's code to
+* @param {string} layerDir - the dir to extract the layers to
+* @returns {Promise<Object>} the lambda source, see `getLambdaSource`, and the
+*                            `layerManifest` from `extractLayers`
+**/
+async function extractLambdaFunction(options, taskDirectory, layerDir) {
+  const { lambdaArn, workDirectory } = options;
+  const isLocal = Boolean(options.lambdaZip || options.lambdaDir);
+  const codeCache = options.cacheDirectory && !isLocal
+    ? new CodeCache({
+      directory: options.cacheDirectory,
+      maxSize: options.cacheMaxSize,
+      maxAge: options.cacheMaxAge
+    })
+    : undefined;
+  const source = isLocal
+    ? getLocalLambdaSource(options)
+    : await getLambdaSource(lambdaArn, workDirectory, layerDir, codeCache);
+
+  const [layerManifest] = await Promise.all([
+    extractLayers(source.layers, layerDir),
+    extractCode(source.filepath, taskDirectory)
+  ]);
+
+  if (codeCache) {
+    const evicted = codeCache.evict([source.filepath, ...source.layers.map((layer) => layer.path)]);
+    evicted.forEach((entryPath) => log.info(`Evicted ${entryPath} from the code cache`));
+  }
+  return { source, layerManifest };
+}
+
+/**
+* Apply an extracted lambda function's environment and load its handler from
+* `options.taskDirectory`
+*
+* @param {Object} extracted - the extracted function, see `extractLambdaFunction`
+* @param {Object} options - options object, see `runTask`
+* @param {string} layerDir - the dir where layers are extracted.  Generally /opt.
+* @returns {Object} the installed lambda function, see `installLambdaFunction`
+**/
+function loadLambdaFunction(extracted, options, layerDir) {
+  const { source, layerManifest } = extracted;
+  const { taskDirectory, workDirectory, environmentPrecedence } = options;
+
+  const layerManifestPath = path.join(workDirectory, 'layer-manifest.json');
+  fs.writeFileSync(layerManifestPath, JSON.stringify(layerManifest, null, 2));
+  log.info(`Extracted layers ${JSON.stringify(layerManifest.layers)}, see ${layerManifestPath}`);
+
+  setLambdaEnvironment(source.configuration, taskDirectory, environmentPrecedence);
+  setCumulusMessageAdapterPath(taskDirectory, layerDir);
+
+  const task = require(`${taskDirectory}/${source.moduleFileName}`); //eslint-disable-line import/no-dynamic-require,global-require
+  return {
+    handler: task[source.moduleFunctionName],
+    configuration: source.configuration,
+    layerManifest
+  };
+}
+
 /**
 * Downloads and extracts the code of a lambda function and it's associated layers
-* into expected locations on the filesystem
+* into expected locations on the filesystem.  If `options.lambdaZip` or
+* `options.lambdaDir` is set, the local code is used instead and the Lambda API
+* is not called.
 *
-* @param {string} lambdaArn - the arn of the lambda function
-* @param {string} workDir - the temporary dir used to download the lambda zip file
-* @param {string} taskDir - the dir where the lambda function will be located
+* @param {Object} options - options object, see `runTask`
 * @param {string} layerDir - the dir where layers are to be extracted/used.  Generally /opt.
-* @returns {Promise<Function>} the `handler` which is the javascript function
-*                              that will run in the ECS service
+* @returns {Promise<Object>} an object with the `handler`, which is the javascript
+*                            function that will run in the ECS service, the
+*                            function `configuration` returned by the Lambda API,
+*                            and the `layerManifest` from `extractLayers`, which is
+*                            also written to `layer-manifest.json` in the work directory
+**/
+async function installLambdaFunction(options, layerDir) {
+  const endInstall = workerMetrics.installDuration.startTimer();
+  const extracted = await extractLambdaFunction(options, options.taskDirectory, layerDir);
+  const lambdaFunction = loadLambdaFunction(extracted, options, layerDir);
+  endInstall();
+  return lambdaFunction;
+}
+
+/**
+* Move a file, symlink or directory, creating its new parent directory.  It is
+* copied and removed instead when the paths are on different filesystems.
+*
+* @param {string} source - the path to move
+* @param {string} destination - the path to move it to
+* @returns {undefined} no return value
 **/
-async function installLambdaFunction(lambdaArn, workDir, taskDir, layerDir) {
-  const resp = await getLambdaSource(lambdaArn, workDir, layerDir);
-  const unzipPromises = resp.layerPaths.map((layerFilePath) => execPromise(`unzip -q -o ${layerFilePath} -d ${layerDir}`));
-  unzipPromises.push(execPromise(`unzip -q -o ${resp.filepath} -d ${taskDir}`));
-  await Promise.all(unzipPromises);
+function moveEntry(source, destination) {
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  try {
+    fs.renameSync(source, destination);
+  }
+  catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.cpSync(source, destination, { recursive: true, verbatimSymlinks: true });
+    fs.rmSync(source, { recursive: true, force: true });
+  }
+}
 
-  setCumulusMessageAdapterPath(taskDir, layerDir);
+/**
+* Check whether a path exists, without following a symlink at the path itself
+*
+* @param {string} entryPath - the path to check
+* @returns {fs.Stats|undefined} the path's stats, or undefined if it does not exist
+**/
+function lstatIfExists(entryPath) {
+  try {
+    return fs.lstatSync(entryPath);
+  }
+  catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return undefined;
+    throw err;
+  }
+}
 
-  const task = require(`${taskDir}/${resp.moduleFileName}`); //eslint-disable-line import/no-dynamic-require,global-require
-  return task[resp.moduleFunctionName];
+/**
+* List the entries of a directory to move into another, descending into the
+* directories that are merged with the same directory in the destination
+*
+* @param {string} sourceDir - the dir to move the entries from
+* @param {string} destinationDir - the dir the entries are moved into
+* @param {string} prefix - the path of both dirs relative to the dirs being swapped
+* @param {Function} [isMerged] - whether an entry, by its path relative to the
+*                                dirs being swapped, is merged.  By default every
+*                                directory below a merged one is.
+* @returns {Array<string>} the entries' paths, prefixed with `prefix`
+**/
+function listMergedEntries(sourceDir, destinationDir, prefix, isMerged = () => true) {
+  return fs.readdirSync(sourceDir, { withFileTypes: true }).flatMap((entry) => {
+    const destinationStats = lstatIfExists(path.join(destinationDir, entry.name));
+    const entryPath = path.join(prefix, entry.name);
+    if (entry.isDirectory() && destinationStats && destinationStats.isDirectory()
+      && isMerged(entryPath)) {
+      return listMergedEntries(
+        path.join(sourceDir, entry.name),
+        path.join(destinationDir, entry.name),
+        entryPath
+      );
+    }
+    return [entryPath];
+  });
+}
+
+/**
+* Replace entries of a directory with entries staged in another.  The old
+* entries, and any entry a new one would overwrite, are moved to `backupDir`
+* first, so the swap can be undone with `restoreDirectoryEntries`.  What has been
+* moved is recorded in `swap` as it happens, so a swap that fails part of the way
+* through can be undone as well.
+*
+* @param {Object} swap - the swap, with the `sourceDir` the new entries are
+*                        staged in, the `destinationDir` whose entries are
+*                        replaced and the `backupDir` the old entries are moved to
+* @param {Array<string>} oldEntries - paths relative to `destinationDir` to remove
+* @param {Array<string>} newEntries - paths relative to `sourceDir` to move in
+* @returns {undefined} no return value
+**/
+function swapDirectoryEntries(swap, oldEntries, newEntries) {
+  const { sourceDir, destinationDir, backupDir } = swap;
+  Object.assign(swap, { movedOut: [], movedIn: [] });
+  Array.from(new Set([...oldEntries, ...newEntries])).forEach((entry) => {
+    if (!lstatIfExists(path.join(destinationDir, entry))) return;
+    moveEntry(path.join(destinationDir, entry), path.join(backupDir, entry));
+    swap.movedOut.push(entry);
+  });
+  newEntries.forEach((entry) => {
+    moveEntry(path.join(sourceDir, entry), path.join(destinationDir, entry));
+    swap.movedIn.push(entry);
+  });
+}
+
+/**
+* Undo a swap by `swapDirectoryEntries`, removing the entries it moved in and
+* moving the old entries back
+*
+* @param {Object} swap - the swap
+* @returns {undefined} no return value
+**/
+function restoreDirectoryEntries(swap) {
+  const { destinationDir, backupDir } = swap;
+  (swap.movedIn || []).slice().reverse()
+    .forEach((entry) => fs.rmSync(path.join(destinationDir, entry), { recursive: true, force: true }));
+  (swap.movedOut || []).slice().reverse()
+    .forEach((entry) => moveEntry(path.join(backupDir, entry), path.join(destinationDir, entry)));
+}
+
+/**
+* Remove the directories that removing entries left empty, up to `rootDir`
+*
+* @param {string} rootDir - the dir the entries are relative to, which is kept
+* @param {Array<string>} entries - the removed entries
+* @returns {undefined} no return value
+**/
+function removeEmptyDirectories(rootDir, entries) {
+  entries.forEach((entry) => {
+    let dir = path.dirname(path.join(rootDir, entry));
+    while (dir.startsWith(`${rootDir}${path.sep}`)) {
+      try {
+        fs.rmdirSync(dir);
+      }
+      catch (err) {
+        if (err.code === 'ENOENT') {
+          dir = path.dirname(dir);
+          continue; // eslint-disable-line no-continue
+        }
+        if (err.code === 'ENOTEMPTY' || err.code === 'EEXIST') break;
+        throw err;
+      }
+      dir = path.dirname(dir);
+    }
+  });
+}
+
+/**
+* Describe the deployed version of a lambda function for logging
+*
+* @param {Object} configuration - the function configuration returned by the Lambda API
+* @returns {string} the version, CodeSha256 and layers of the function
+**/
+function describeLambdaVersion(configuration) {
+  const layers = (configuration.Layers || []).map((layer) => layer.Arn).join(', ');
+  return `version ${configuration.Version} (CodeSha256 ${configuration.CodeSha256}, layers [${layers}])`;
+}
+
+/**
+* Check whether the lambda function has been redeployed since it was installed
+* and, if so, install the new code and load its handler.  The new code is
+* downloaded and extracted into a staging directory first, so if that fails the
+* current code is untouched and the current handler is kept.  Once it succeeds
+* the task directory's contents, apart from the `node_modules` from the runtime,
+* and the files the installed layers extracted are swapped for the staged code,
+* and the require cache is cleared for both directories, so no file of the old
+* version remains.  A swap that fails is rolled back, and if that fails too the
+* error is thrown, so the service stops rather than run a mix of both versions.
+*
+* @param {Object} lambdaFunction - the installed lambda function, see `installLambdaFunction`
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @param {string} layerDir - the dir where layers are to be extracted/used.  Generally /opt.
+* @returns {Promise<Object>} the reloaded lambda function, or `lambdaFunction` if
+*                            it has not changed
+* @throws {Error} if a failed reload could not restore the installed code
+**/
+async function reloadLambdaFunction(lambdaFunction, options, layerDir) {
+  const current = lambdaFunction.configuration;
+  try {
+    const lambda = new Lambda({ apiVersion: '2015-03-31', region });
+    const deployed = await lambda.send(
+      new GetFunctionConfigurationCommand({ FunctionName: options.lambdaArn })
+    );
+    if (describeLambdaVersion(deployed) === describeLambdaVersion(current)) {
+      return lambdaFunction;
+    }
+
+    log.info(`Reloading the Lambda function, ${describeLambdaVersion(current)} was redeployed as ${describeLambdaVersion(deployed)}`);
+    const endInstall = workerMetrics.installDuration.startTimer();
+    const staging = fs.mkdtempSync(path.join(options.workDirectory, 'reload-'));
+    let extracted;
+    try {
+      const taskSwap = {
+        sourceDir: path.join(staging, 'task'),
+        destinationDir: path.resolve(options.taskDirectory),
+        backupDir: path.join(staging, 'previous-task')
+      };
+      const layerSwap = {
+        sourceDir: path.join(staging, 'layers'),
+        destinationDir: path.resolve(layerDir),
+        backupDir: path.join(staging, 'previous-layers')
+      };
+      fs.mkdirSync(taskSwap.sourceDir);
+      fs.mkdirSync(layerSwap.sourceDir);
+      extracted = await extractLambdaFunction(options, taskSwap.sourceDir, layerSwap.sourceDir);
+      const installedLayerFiles = Object.keys(lambdaFunction.layerManifest.files);
+      try {
+        // the runtime's node_modules is kept, and merged with the function's own
+        const kept = ['node_modules'];
+        swapDirectoryEntries(
+          taskSwap,
+          fs.readdirSync(taskSwap.destinationDir).filter((name) => !kept.includes(name)),
+          listMergedEntries(
+            taskSwap.sourceDir, taskSwap.destinationDir, '', (entry) => kept.includes(entry)
+          )
+        );
+        swapDirectoryEntries(
+          layerSwap,
+          installedLayerFiles,
+          Object.keys(extracted.layerManifest.files)
+        );
+      }
+      catch (err) {
+        try {
+          [layerSwap, taskSwap].forEach(restoreDirectoryEntries);
+        }
+        catch (restoreError) {
+          log.error('Failed to restore the installed Lambda function after a failed reload', restoreError);
+          err.restoreFailed = true;
+        }
+        throw err;
+      }
+      removeEmptyDirectories(layerSwap.destinationDir, installedLayerFiles);
+    }
+    finally {
+      fs.rmSync(staging, { recursive: true, force: true });
+    }
+
+    Object.keys(require.cache)
+      .filter((modulePath) => [options.taskDirectory, layerDir]
+        .some((dir) => modulePath.startsWith(path.resolve(dir) + path.sep)))
+      .forEach((modulePath) => {
+        delete require.cache[modulePath];
+      });
+    const reloaded = loadLambdaFunction(extracted, options, layerDir);
+    endInstall();
+    log.info(`Reloaded the Lambda function, now running ${describeLambdaVersion(reloaded.configuration)}`);
+    return reloaded;
+  }
+  catch (err) {
+    if (err.restoreFailed) {
+      throw new Error(`Failed to reload the Lambda function, and its installed code could not be restored: ${err.message}`);
+    }
+    log.error('Failed to reload the Lambda function, continuing with the installed version', err);
+    return lambdaFunction;
+  }
+}
+
+/**
+* Validates the options that describe where to get the lambda function from
+*
+* @param {Object} options - options object, see `runTask`
+* @returns {undefined} - no return value
+**/
+function assertLambdaSourceOptions(options) {
+  assert(options.lambdaArn || options.lambdaZip || options.lambdaDir, 'options.lambdaArn string is required');
+  assert(!options.lambdaArn || typeof options.lambdaArn === 'string', 'options.lambdaArn string is required');
+  assert(!(options.lambdaZip && options.lambdaDir), 'only one of options.lambdaZip and options.lambdaDir can be set');
+  if (options.lambdaZip || options.lambdaDir) {
+    assert(options.handler && typeof options.handler === 'string', 'options.handler string is required with options.lambdaZip or options.lambdaDir');
+  }
+}
+
+/**
+* Validates the options for reloading a redeployed lambda function
+*
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @returns {undefined} - no return value
+**/
+function assertReloadOptions(options) {
+  if (options.reloadInterval) {
+    assert(Number.isInteger(options.reloadInterval), 'options.reloadInterval must be an integer');
+    assert(!options.lambdaZip && !options.lambdaDir, 'options.reloadInterval cannot be used with options.lambdaZip or options.lambdaDir');
+  }
+}
+
+/**
+* Build a Lambda-compatible context object for a single task invocation.
+* The remaining-time clock starts when the context is created and counts down
+* from the task timeout.  It is capped at the longest delay `setTimeout` accepts,
+* which is what it returns without a timeout.  `abortSignal` is not part of
+* Lambda's context; it is
+* aborted when the task times out or is cancelled, so handlers can stop early.
+*
+* @param {Object} configuration - the function configuration returned by the Lambda API
+* @param {number} [timeoutSeconds] - the number of seconds the task may run for, if limited
+* @param {AbortSignal} abortSignal - the signal aborted when the task is cancelled
+* @returns {Object} the context object to pass to the handler
+**/
+function createLambdaContext(configuration, timeoutSeconds, abortSignal) {
+  const functionName = configuration.FunctionName;
+  const functionVersion = configuration.Version || '$LATEST';
+  const deadline = timeoutSeconds ? Date.now() + (timeoutSeconds * 1000) : Infinity;
+  const logGroupName = (configuration.LoggingConfig && configuration.LoggingConfig.LogGroup)
+    || `/aws/lambda/${functionName}`;
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, '/');
+
+  return {
+    via: 'ECS',
+    callbackWaitsForEmptyEventLoop: true,
+    functionName,
+    functionVersion,
+    invokedFunctionArn: configuration.FunctionArn,
+    memoryLimitInMB: String(configuration.MemorySize || defaultLambdaMemorySize),
+    awsRequestId: randomUUID(),
+    logGroupName,
+    logStreamName: `${today}/[${functionVersion}]${executionEnvironmentId}`,
+    getRemainingTimeInMillis: () => Math.min(
+      Math.max(deadline - Date.now(), 0),
+      maxRemainingTimeMillis
+    ),
+    abortSignal
+  };
+}
+
+/**
+* Get the logger for a task: `options.logger` if it is set, which ties its entries
+* to the task, or otherwise the module's logger
+*
+* @param {Object} [options] - options object, see `runServiceFromActivity`
+* @returns {Logger} the logger
+**/
+function getLogger(options) {
+  return (options && options.logger) || log;
+}
+
+/**
+* Hash a task token, so log entries can be tied to a task without writing its token
+*
+* @param {string} taskToken - the task token
+* @returns {string} the first 16 hex digits of the token's SHA-256 hash
+**/
+function hashTaskToken(taskToken) {
+  return createHash('sha256').update(taskToken).digest('hex').slice(0, 16);
+}
+
+/**
+* Get the log fields that tie entries to a Step Functions task
+*
+* @param {Object} event - the task's event
+* @param {string} taskToken - the task token
+* @returns {Object} the execution name, if the event is a Cumulus message, and the
+* hashed task token
+**/
+function getTaskLogFields(event, taskToken) {
+  return {
+    executionName: get(event, 'cumulus_meta.execution_name'),
+    taskTokenHash: hashTaskToken(taskToken)
+  };
+}
+
+/**
+* Start recording a task for its Embedded Metric Format entry.  The record is
+* passed to the task as `options.taskRecord` and updated with its outcome and
+* retries as it runs, see `recordTaskOutcome`, and whether its handler started.
+*
+* @param {Object} dimensions - the task's dimensions besides the function name, such as
+* its activity or queue
+* @param {integer} [retries] - how many times the task has been retried before
+* @returns {Object} the record
+**/
+function startTaskRecord(dimensions, retries) {
+  return {
+    dimensions,
+    retries,
+    start: Date.now(),
+    outcome: 'Failed',
+    reportRetries: 0
+  };
+}
+
+/**
+* Record a task's outcome, if it is being recorded
+*
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @param {string} outcome - `Succeeded`, `Failed` or `Cancelled`
+* @returns {undefined} no return value
+**/
+function recordTaskOutcome(options, outcome) {
+  const record = options.taskRecord;
+  if (record) record.outcome = outcome;
+}
+
+/**
+* Record a finished task's metrics.  If its handler ran, its outcome is counted
+* in the Prometheus metrics, once its result has been reported.  When
+* `options.emitEmf` is set, its metrics are also logged in CloudWatch Embedded
+* Metric Format, so they become CloudWatch metrics through the container's log
+* stream: its duration, whether it succeeded or failed, its retries and how
+* many times reporting its result was retried, by function name and activity
+* or queue.
+*
+* @param {Object} record - the task's record, see `startTaskRecord`
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @returns {undefined} no return value
+**/
+function recordTaskMetrics(record, options) {
+  if (record.handlerStarted) {
+    if (record.outcome === 'Succeeded') workerMetrics.tasksSucceeded.inc();
+    else workerMetrics.tasksFailed.inc();
+  }
+  if (!options.emitEmf) return;
+
+  const taskMetrics = [
+    { name: 'Duration', value: Date.now() - record.start, unit: 'Milliseconds' },
+    { name: 'Succeeded', value: record.outcome === 'Succeeded' ? 1 : 0, unit: 'Count' },
+    { name: 'Failed', value: record.outcome === 'Failed' ? 1 : 0, unit: 'Count' },
+    { name: 'ReportRetries', value: record.reportRetries, unit: 'Count' }
+  ];
+  if (record.retries !== undefined) {
+    taskMetrics.push({ name: 'Retries', value: record.retries, unit: 'Count' });
+  }
+
+  getLogger(options).emf('Task metrics', {
+    namespace: options.emfNamespace || defaultEmfNamespace,
+    dimensions: { FunctionName: getFunctionName(getLambdaId(options)), ...record.dimensions },
+    metrics: taskMetrics,
+    properties: { Outcome: record.outcome }
+  });
+}
+
+/**
+* Get the Step Functions client shared by every call
+*
+* @returns {SFN} the client
+**/
+function getStepFunctionsClient() {
+  if (!stepFunctionsClient) {
+    stepFunctionsClient = new SFN({ apiVersion: '2016-11-23', region });
+  }
+  return stepFunctionsClient;
+}
+
+/**
+* Determine whether a failed AWS API call is worth retrying: throttling, 5xx
+* responses and network errors are, anything else is not
+*
+* @param {Error} err - the error the call failed with
+* @returns {boolean} true if the call should be retried
+**/
+function isTransientError(err) {
+  const statusCode = err.$metadata && err.$metadata.httpStatusCode;
+  return Boolean(err.$retryable)
+    || statusCode === 429
+    || statusCode >= 500
+    || transientErrorNames.includes(err.name)
+    || transientErrorCodes.includes(err.code);
+}
+
+/**
+* Send a command reporting a task's result to Step Functions, retrying with
+* exponential backoff on throttling and transient errors.  If the command still
+* fails, the error is a `TaskReportFailed` error whose `cause` is the last
+* error, so callers can tell it apart from a failure of the task itself.
+*
+* @param {Object} command - the Step Functions command
+* @param {Object} [options={}] - options object, see `runServiceFromActivity`
+* @param {integer} [options.reportRetries=5] - number of times to retry the command
+* @param {integer} [options.reportRetryDelay=1000] - number of milliseconds before the first
+* retry, doubling for each retry after it
+* @returns {Promise<Object>} the command's output
+**/
+async function sendTaskReport(command, options = {}) {
+  const commandName = command.constructor.name;
+  const logger = getLogger(options);
+  const retries = Number.isInteger(options.reportRetries)
+    ? options.reportRetries
+    : defaultReportRetries;
+  try {
+    return await pRetry(async() => {
+      try {
+        return await getStepFunctionsClient().send(command);
+      }
+      catch (err) {
+        if (!isTransientError(err)) {
+          throw new pRetry.AbortError(err);
+        }
+        throw err;
+      }
+    }, {
+      retries,
+      minTimeout: options.reportRetryDelay || defaultReportRetryDelay,
+      randomize: true,
+      onFailedAttempt: (err) => {
+        const record = options.taskRecord;
+        if (record) record.reportRetries += 1;
+        logger.warn(`${commandName} failed, attempt ${err.attemptNumber} of ${retries + 1}`, err);
+      }
+    });
+  }
+  catch (err) {
+    const reportError = new Error(`${commandName} failed: ${err.message}`);
+    reportError.name = reportFailedError;
+    reportError.cause = err;
+    throw reportError;
+  }
 }
 
 /**
-* Starts heartbeat to indicate worker is working on the task
-*
-* ppilone - Refactored this as part of the aws-sdk v3 update but it was previously not working
-* and the code is over 6 years old. Not sure of the original intent or if it was ever actually used.
-* Might want to consider removing it entirely or adding test coverage if it is in fact used.
+* Starts heartbeat to indicate worker is working on the task.  If Step Functions
+* reports that the task has timed out or its token is no longer valid, the task
+* is cancelled through `controller` and no more heartbeats are sent.
 *
 * @param {string} taskToken - the task token
 * @param {integer} heartbeatInterval - number of milliseconds between heartbeat messages
+* @param {AbortController} controller - aborted when the task can no longer be completed
+* @param {Logger} [logger] - the task's logger
 * @returns {SetIntervalAsyncTimer} - interval id used by `clearIntervalAsync`
 **/
-function startHeartbeat(taskToken, heartbeatInterval) {
-  const sf = new SFN({ apiVersion: '2016-11-23', region });
+function startHeartbeat(taskToken, heartbeatInterval, controller, logger = log) {
+  const sf = getStepFunctionsClient();
   return setIntervalAsync(async() => {
+    if (controller.signal.aborted) return;
     try {
       const sendTaskHeartbeatCommand = new SendTaskHeartbeatCommand({
         taskToken
       });
       await sf.send(sendTaskHeartbeatCommand);
-      log.info(`sending heartbeat, confirming ${taskToken} is still in progress`);
+      logger.debug('sent heartbeat, confirming the task is still in progress');
     }
     catch (err) {
-      log.error('error sending heartbeat', err);
+      workerMetrics.heartbeatFailures.inc();
+      if (invalidTaskTokenErrors.includes(err.name)) {
+        logger.error(`heartbeat rejected with ${err.name}, cancelling the task`, err);
+        controller.abort(err);
+      }
+      else {
+        logger.warn('error sending heartbeat', err);
+      }
     }
   }, heartbeatInterval);
 }
 
 /**
-* Tells workflow that the task has failed
+* Convert any thrown value to an error.  Handlers can throw or reject with
+* strings, plain objects or nothing at all.
+*
+* @param {*} value - the thrown value
+* @returns {Error} the value if it is an error, or an error describing it
+**/
+function normalizeError(value) {
+  if (value instanceof Error) {
+    return value;
+  }
+
+  if (value && typeof value === 'object') {
+    let description;
+    try {
+      description = JSON.stringify(value);
+    }
+    catch (_err) {
+      description = String(value);
+    }
+    const err = new Error(value.errorMessage || value.message || description);
+    err.name = value.errorType || value.name || 'Error';
+    err.stack = typeof value.stack === 'string' ? value.stack : `${err.name}: ${err.message}`;
+    return err;
+  }
+
+  const err = new Error(value === undefined ? 'Task failed without an error value' : String(value));
+  err.stack = `${err.name}: ${err.message}`;
+  return err;
+}
+
+/**
+* Describe an error the way Lambda reports a handler's error
+*
+* @param {*} value - the error or other thrown value
+* @returns {Object} the error's `errorType`, `errorMessage` and `stackTrace`
+**/
+function describeError(value) {
+  const err = normalizeError(value);
+  return {
+    errorType: err.name,
+    errorMessage: err.message,
+    stackTrace: (err.stack || '').split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.startsWith('at '))
+  };
+}
+
+/**
+* Serialize an error description as a task failure cause, within Step Functions'
+* length limit.  The stack trace is dropped first, then the message is truncated.
+*
+* @param {Object} details - the error description, see `describeError`
+* @returns {string} the JSON cause
+**/
+function serializeFailureCause(details) {
+  let cause = JSON.stringify(details);
+  if (cause.length <= maxTaskFailureCauseLength) {
+    return cause;
+  }
+
+  let { errorMessage } = details;
+  cause = JSON.stringify({ ...details, stackTrace: [] });
+  while (cause.length > maxTaskFailureCauseLength && errorMessage.length > 3) {
+    errorMessage = truncate(errorMessage, {
+      length: errorMessage.length - (cause.length - maxTaskFailureCauseLength)
+    });
+    cause = JSON.stringify({ ...details, errorMessage, stackTrace: [] });
+  }
+  return cause;
+}
+
+/**
+* Tells workflow that the task has failed.  The cause is JSON with the error's
+* `errorType`, `errorMessage` and `stackTrace`, like a Lambda task's.  If Step
+* Functions rejects the failure, for example because it is malformed, a
+* failure with only the error type is sent instead.
 *
 * @param {string} taskToken - the task token
-* @param {Object} taskError - the error object returned by the handler
+* @param {*} taskError - the error, or other value, the handler failed with
+* @param {Object} [options] - retry options, see `sendTaskReport`
 * @returns {SendTaskFailureCommandOutput} - step function send task failure output
 **/
-async function sendTaskFailure(taskToken, taskError) {
-  const sf = new SFN({ apiVersion: '2016-11-23', region });
-  const sendTaskFailureCommand = new SendTaskFailureCommand({
-    taskToken: taskToken,
-    error: taskError.name,
-    cause: taskError.message
-  });
+async function sendTaskFailure(taskToken, taskError, options) {
+  const details = describeError(taskError);
+  const error = truncate(details.errorType, { length: maxTaskFailureErrorLength });
 
-  return sf.send(sendTaskFailureCommand);
+  try {
+    return await sendTaskReport(new SendTaskFailureCommand({
+      taskToken,
+      error,
+      cause: serializeFailureCause({ ...details, errorType: error })
+    }), options);
+  }
+  catch (err) {
+    if (invalidTaskTokenErrors.includes(err.cause.name)) {
+      throw err;
+    }
+    getLogger(options).warn('task failure was rejected, sending it without a cause', err);
+    return sendTaskReport(new SendTaskFailureCommand({ taskToken, error }), options);
+  }
 }
 
 /**
@@ -255,29 +1237,30 @@ async function sendTaskFailure(taskToken, taskError) {
 *
 * @param {string} taskToken - the task token
 * @param {Object} output - output message for next task
+* @param {Object} [options] - retry options, see `sendTaskReport`
 * @returns {SendTaskSuccessCommandOutput} - step function send task success output
 **/
-async function sendTaskSuccess(taskToken, output) {
-  const sf = new SFN({ apiVersion: '2016-11-23', region });
+async function sendTaskSuccess(taskToken, output, options) {
   const sendTaskSuccessCommand = new SendTaskSuccessCommand({
     taskToken: taskToken,
     output: output
   });
 
-  return sf.send(sendTaskSuccessCommand);
+  return sendTaskReport(sendTaskSuccessCommand, options);
 }
 
 /**
 * receives an activity message from the StepFunction Activity Queue
 *
 * @param {string} activityArn - the activity arn
+* @param {AbortSignal} [abortSignal] - signal that aborts the long-poll
 * @returns {Promise} the lambda task event object and the
 *                    activity task's token. If the activity task returns
 *                    empty, the function returns undefined response
 **/
-async function getActivityTask(activityArn) {
-  const sf = new SFN({ apiVersion: '2016-11-23', region });
-  const data = await sf.send(new GetActivityTaskCommand({ activityArn }));
+async function getActivityTask(activityArn, abortSignal) {
+  const sf = getStepFunctionsClient();
+  const data = await sf.send(new GetActivityTaskCommand({ activityArn }), { abortSignal });
 
   if (data && data.taskToken && data.taskToken.length && data.input) {
     const token = data.taskToken;
@@ -287,47 +1270,255 @@ async function getActivityTask(activityArn) {
       token
     };
   }
-  log.info('No tasks in the activity queue');
+  workerMetrics.emptyPolls.inc();
+  log.debug('No tasks in the activity queue');
   return undefined;
 }
 
 /**
-* Handle the lambda task response
+* Get the number of seconds a task may run for: the `taskTimeout` option if set,
+* otherwise the lambda function's configured timeout.  Local code has no
+* configured timeout, so its tasks have no limit unless `taskTimeout` is set.
+*
+* @param {Object} lambdaFunction - the installed lambda function, see `installLambdaFunction`
+* @param {Object} options - options object, see `runTask`
+* @returns {number|undefined} the timeout in seconds, or undefined for no timeout
+**/
+function getTaskTimeout(lambdaFunction, options) {
+  if (options.taskTimeout) return options.taskTimeout;
+  if (options.lambdaZip || options.lambdaDir) return undefined;
+  return lambdaFunction.configuration.Timeout || defaultLambdaTimeoutSeconds;
+}
+
+/**
+* Handle the lambda task response.  If the handler does not respond within the
+* task timeout, the task fails with a `States.Timeout` error, and if
+* `options.signal` is aborted the task fails with the signal's reason.  Either
+* way the handler's `context.abortSignal` is aborted, but the handler itself
+* cannot be stopped and may keep running in the background.
 *
 * @param {Object} event - the event to pass to the lambda function
-* @param {Function} handler - the lambda function to execute
+* @param {Object} lambdaFunction - the installed lambda function
+* @param {Function} lambdaFunction.handler - the lambda function to execute
+* @param {Object} lambdaFunction.configuration - the lambda function configuration
+* @param {Object} [options={}] - options object, see `runTask`
+* @param {AbortSignal} [options.signal] - signal that cancels the task
+* @param {boolean} [options.captureHandlerOutput] - whether to log the handler's output through
+* the task's logger, see `captureOutput`
 * @returns {Promise} the lambda functions response
 **/
-async function handleResponse(event, handler) {
-  return handler(event, { via: 'ECS' });
+async function handleResponse(event, lambdaFunction, options = {}) {
+  const timeoutSeconds = getTaskTimeout(lambdaFunction, options);
+  const controller = new AbortController();
+  const context = createLambdaContext(
+    lambdaFunction.configuration,
+    timeoutSeconds,
+    controller.signal
+  );
+
+  const cancelled = new Promise((_resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+  });
+
+  // eslint-disable-next-line require-jsdoc
+  const cancel = () => controller.abort(options.signal.reason);
+  if (options.signal) {
+    if (options.signal.aborted) cancel();
+    else options.signal.addEventListener('abort', cancel);
+  }
+
+  const timer = timeoutSeconds && setTimeout(() => {
+    const err = new Error(`Task ${context.awsRequestId} timed out after ${timeoutSeconds} seconds`);
+    err.name = 'States.Timeout';
+    getLogger(options).error('task timed out, the handler may still be running', err);
+    controller.abort(err);
+  }, timeoutSeconds * 1000);
+
+  // eslint-disable-next-line require-jsdoc
+  const invoke = () => invokeHandler(lambdaFunction.handler, event, context);
+
+  const record = options.taskRecord;
+  if (record) record.handlerStarted = true;
+  workerMetrics.tasksStarted.inc();
+  workerMetrics.tasksInFlight.inc();
+  workerStatus.taskStarted();
+  const endHandler = workerMetrics.handlerDuration.startTimer();
+  try {
+    return await Promise.race([
+      options.captureHandlerOutput
+        ? captureOutput(getLogger(options), invoke, controller.signal)
+        : invoke(),
+      cancelled
+    ]);
+  }
+  finally {
+    endHandler();
+    workerMetrics.tasksInFlight.dec();
+    workerStatus.taskFinished();
+    clearTimeout(timer);
+    if (options.signal) options.signal.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+* Serialize a task's output for `sendTaskSuccess`.  An output larger than Step
+* Functions accepts is uploaded to `options.outputBucket` and replaced with a
+* reference to it, in the `replace` format the Cumulus message adapter reads.
+* Without an output bucket the task fails with a `PayloadTooLarge` error.
+*
+* @param {*} output - the handler's output
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @param {string} [options.outputBucket] - bucket to offload large outputs to
+* @param {string} [options.outputPrefix] - key prefix for offloaded outputs
+* @param {string} [options.s3Endpoint] - endpoint of an S3-compatible service to use
+* instead of S3
+* @returns {Promise<string>} the JSON output
+**/
+async function serializeTaskOutput(output, options) {
+  const serialized = JSON.stringify(output);
+  const size = serialized ? Buffer.byteLength(serialized) : 0;
+  if (size <= maxTaskOutputBytes) {
+    return serialized;
+  }
+
+  if (!options.outputBucket) {
+    const err = new Error(`Task output is ${size} bytes, which is more than the ${maxTaskOutputBytes} bytes Step Functions accepts. Set outputBucket to offload large outputs to S3`);
+    err.name = 'PayloadTooLarge';
+    throw err;
+  }
+
+  const s3 = new S3({
+    region,
+    endpoint: options.s3Endpoint || undefined,
+    forcePathStyle: Boolean(options.s3Endpoint)
+  });
+  const Bucket = options.outputBucket;
+  const Key = `${options.outputPrefix || defaultOutputPrefix}${randomUUID()}.json`;
+  await s3.send(new PutObjectCommand({
+    Bucket,
+    Key,
+    Body: serialized,
+    ContentType: 'application/json'
+  }));
+  getLogger(options).info(`Task output is ${size} bytes, offloaded it to s3://${Bucket}/${Key}`);
+
+  return JSON.stringify({ replace: { Bucket, Key, TargetPath: '$' } });
 }
 
 /**
-* Handle the data event from poll.getTask()
+* Handle the data event from poll.getTask().  If a heartbeat reports that Step
+* Functions no longer accepts the task, the handler is cancelled and neither
+* success nor failure is sent.  If the result cannot be reported, this rejects
+* with a `TaskReportFailed` error rather than reporting the task as failed.
 *
 * @param {Object} event - the event to pass to the lambda function
 * @param {string} taskToken - the task token
-* @param {function} handler - the lambda function to execute
-* @param {integer} heartbeatInterval - number of milliseconds between heartbeat messages.
+* @param {Object} lambdaFunction - the installed lambda function, see `installLambdaFunction`
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @param {integer} options.heartbeat - number of milliseconds between heartbeat messages.
 * defaults to null, which deactivates heartbeats
+* @param {AbortSignal} [options.signal] - signal that cancels the task, which then fails
+* with the signal's reason
+* @param {string} [options.outputBucket] - bucket to offload outputs that are too large for
+* Step Functions to, see `serializeTaskOutput`
 * @returns {undefined} - no return value
 **/
-async function handlePollResponse(event, taskToken, handler, heartbeatInterval) {
+async function handlePollResponse(event, taskToken, lambdaFunction, options) {
+  const controller = new AbortController();
   let heartbeat;
 
-  if (heartbeatInterval) {
-    heartbeat = startHeartbeat(taskToken, heartbeatInterval);
+  if (options.heartbeat) {
+    heartbeat = startHeartbeat(taskToken, options.heartbeat, controller, getLogger(options));
   }
 
+  // the task is cancelled by a failed heartbeat, or by `options.signal`
+  const signal = options.signal
+    ? AbortSignal.any([controller.signal, options.signal])
+    : controller.signal;
+
+  let output;
   try {
-    const output = await handleResponse(event, handler);
-    if (heartbeatInterval) {
+    const result = await handleResponse(event, lambdaFunction, { ...options, signal });
+    output = await serializeTaskOutput(result, options);
+  }
+  catch (err) {
+    if (controller.signal.aborted) {
+      recordTaskOutcome(options, 'Cancelled');
+      getLogger(options).info('task was cancelled, not reporting its result');
+      return;
+    }
+    await sendTaskFailure(taskToken, err, options);
+    return;
+  }
+  finally {
+    if (heartbeat) {
       await clearIntervalAsync(heartbeat);
     }
-    await sendTaskSuccess(taskToken, JSON.stringify(output));
   }
-  catch (err) {
-    await sendTaskFailure(taskToken, err);
+
+  await sendTaskSuccess(taskToken, output, options);
+  recordTaskOutcome(options, 'Succeeded');
+}
+
+/**
+* Get the shutdown manager to stop a service with: `options.shutdownManager` if it
+* is set, or otherwise a new one listening for SIGTERM and SIGINT
+*
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @returns {ShutdownManager} the shutdown manager
+**/
+function getShutdownManager(options) {
+  if (options.shutdownManager) {
+    return options.shutdownManager;
+  }
+  return new ShutdownManager({ gracePeriod: options.shutdownGracePeriod, logger: log }).listen();
+}
+
+/**
+* Create the backoff and circuit breaker for a service's polling
+*
+* @param {Object} options - options object, see `runServiceFromActivity`
+* @returns {PollBackoff} the poll backoff
+**/
+function createPollBackoff(options) {
+  return new PollBackoff({
+    delay: options.pollBackoffDelay,
+    maxFailures: options.maxPollFailures,
+    logger: log
+  });
+}
+
+/**
+* Handle a failed poll: back off before the next poll, unless the long-poll was
+* aborted by shutdown
+*
+* @param {PollBackoff} backoff - the service's poll backoff
+* @param {ShutdownManager} shutdown - the service's shutdown manager
+* @param {Error} err - the error the poll failed with
+* @returns {Promise<undefined>} resolves when the service may poll again
+**/
+async function handlePollError(backoff, shutdown, err) {
+  if (shutdown.stopping && err.name === 'AbortError') {
+    log.info('Polling stopped for shutdown');
+    return;
+  }
+  workerMetrics.pollErrors.inc();
+  await backoff.failed(err, shutdown.pollSignal);
+}
+
+/**
+* Log an error from handling a task in a service loop
+*
+* @param {Error} err - the error
+* @param {Logger} [logger] - the task's logger
+* @returns {undefined} no return value
+**/
+function logLoopError(err, logger = log) {
+  if (err.name === reportFailedError) {
+    logger.error('Could not report the task\'s result to Step Functions', err);
+  }
+  else {
+    logger.error('Task failed. trying again', err);
   }
 }
 
@@ -337,29 +1528,65 @@ async function handlePollResponse(event, taskToken, handler, heartbeatInterval)
 *
 * @param {Object} options - options object
 * @param {string} options.lambdaArn - the arn of the lambda handler
+* @param {string} [options.lambdaZip] - path to a local zip file of the lambda function to
+* run instead of downloading it
+* @param {string} [options.lambdaDir] - path to a local directory of the lambda function to
+* run instead of downloading it
+* @param {string} [options.handler] - the handler to run from the local lambda function,
+* e.g. `index.handler`. Required with `lambdaZip` or `lambdaDir`
+* @param {Array<string>} [options.layers] - paths to local layer zip files or directories to
+* use with `lambdaZip` or `lambdaDir`
+* @param {string} [options.cacheDirectory] - directory to cache downloaded function and layer
+* code in across runs. Caching is disabled if not set
+* @param {number} [options.cacheMaxSize=1024] - size in megabytes to trim the code cache to
+* @param {number} [options.cacheMaxAge=30] - days after which unused cached code is evicted
 * @param {string} options.lambdaInput - the input to the lambda handler
 * @param {string} options.taskDirectory - the directory to put the unzipped lambda zip
 * @param {string} options.workDirectory - the directory to use for downloading the lambda zip file
+* @param {string} [options.environmentPrecedence='container'] - whether `container` or `lambda`
+* environment variables win when both set a value
+* @param {integer} [options.taskTimeout] - number of seconds a task may run before it fails
+* with a `States.Timeout` error. defaults to the lambda function's configured timeout
+* @param {boolean} [options.captureHandlerOutput=false] - whether to log what the handler writes
+* with `console` or to stdout and stderr as JSON log entries tied to the task, instead of as
+* raw text
+* @param {boolean} [options.emitEmf=false] - whether to log each task's metrics in CloudWatch
+* Embedded Metric Format
+* @param {string} [options.emfNamespace='CumulusEcsTask'] - CloudWatch namespace of the task
+* metrics logged with `emitEmf`
+* @param {ShutdownManager} [options.shutdownManager] - cancels the task once its grace period
+* ends. by default the task is not cancelled
 * @returns {Promise} the output of the lambda function response
 **/
 async function runTask(options) {
   assert(options && typeof options === 'object', 'options.lambdaArn string is required');
+  assertLambdaSourceOptions(options);
   assert(options && typeof options.lambdaInput === 'object', 'options.lambdaInput object is required');
   assert(options.taskDirectory && typeof options.taskDirectory === 'string', 'options.taskDirectory string is required');
   assert(options.workDirectory && typeof options.workDirectory === 'string', 'options.workDirectory string is required');
   assert(!options.layersDirectory || typeof options.layersDirectory === 'string', 'options.layersDir should be a string');
+  assert(!options.cacheDirectory || typeof options.cacheDirectory === 'string', 'options.cacheDirectory should be a string');
+  assert(!options.environmentPrecedence || environmentPrecedences.includes(options.environmentPrecedence), `options.environmentPrecedence should be one of ${environmentPrecedences.join(', ')}`);
+  assert(!options.taskTimeout || Number.isInteger(options.taskTimeout), 'options.taskTimeout must be an integer');
+  assert(!options.emfNamespace || typeof options.emfNamespace === 'string', 'options.emfNamespace should be a string');
 
   const layersDir = options.layersDirectory ? options.layersDirectory : layersDefaultDirectory;
-  const {
-    lambdaArn, lambdaInput, taskDirectory, workDirectory
-  } = options;
+  const { lambdaInput } = options;
 
-  log.sender = getLogSenderFromLambdaId(lambdaArn);
+  log.sender = getLogSenderFromLambdaId(getLambdaId(options));
 
   log.info('Downloading the Lambda function');
+  let taskRecord;
   try {
-    const handler = await installLambdaFunction(lambdaArn, workDirectory, taskDirectory, layersDir);
-    const output = await handleResponse(lambdaInput, handler);
+    const lambdaFunction = await installLambdaFunction(options, layersDir);
+    workerStatus.installed();
+    taskRecord = startTaskRecord({});
+    const output = await handleResponse(lambdaInput, lambdaFunction, {
+      ...options,
+      signal: options.shutdownManager && options.shutdownManager.taskSignal,
+      taskRecord
+    });
+    taskRecord.outcome = 'Succeeded';
     log.info('task executed successfully');
     return output;
   }
@@ -367,6 +1594,298 @@ async function runTask(options) {
     log.error('task failed with an error', e);
     throw e;
   }
+  finally {
+    if (taskRecord) recordTaskMetrics(taskRecord, options);
+  }
+}
+
+/**
+* Call an async function for each item, running at most `concurrency` calls at a time
+*
+* @param {Array} items - the items
+* @param {integer} concurrency - the maximum number of calls to run at a time
+* @param {Function} fn - async function to call with each item
+* @returns {Promise<Array>} the results of the calls, in the order of `items`
+**/
+async function mapConcurrently(items, concurrency, fn) {
+  const results = [];
+  let next = 0;
+
+  /**
+  * Call `fn` for the next unprocessed item until there are none left
+  *
+  * @returns {Promise<undefined>} resolves when every item has been taken
+  **/
+  async function worker() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await fn(items[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+* Keep received SQS messages invisible to other consumers until their tasks are
+* done, by extending their visibility timeout every half timeout
+*
+* @param {Object} sqs - the SQS client
+* @param {string} sqsUrl - the url to the sqs queue
+* @param {Set<Object>} pendingMessages - the messages whose tasks are not done yet.
+* messages are removed from the set by the caller as their tasks finish
+* @param {integer} visibilityTimeout - the visibility timeout in seconds
+* @returns {SetIntervalAsyncTimer} - interval id used by `clearIntervalAsync`
+**/
+function startVisibilityExtension(sqs, sqsUrl, pendingMessages, visibilityTimeout) {
+  return setIntervalAsync(async() => {
+    if (pendingMessages.size === 0) return;
+    try {
+      const resp = await sqs.send(new ChangeMessageVisibilityBatchCommand({
+        QueueUrl: sqsUrl,
+        Entries: Array.from(pendingMessages, (message) => ({
+          Id: message.MessageId,
+          ReceiptHandle: message.ReceiptHandle,
+          VisibilityTimeout: visibilityTimeout
+        }))
+      }));
+      (resp.Failed || []).forEach((failure) => {
+        log.warn(`could not extend the visibility of message ${failure.Id}: ${failure.Message}`);
+      });
+    }
+    catch (err) {
+      log.warn('error extending message visibility', err);
+    }
+  }, (visibilityTimeout * 1000) / 2);
+}
+
+/**
+* Delete a message from the SQS queue
+*
+* @param {Object} sqs - the SQS client
+* @param {string} sqsUrl - the url to the sqs queue
+* @param {Object} message - the received message
+* @param {Logger} [logger] - the message's logger
+* @returns {Promise<undefined>} resolves when the message is deleted
+**/
+async function deleteSqsMessage(sqs, sqsUrl, message, logger = log) {
+  await sqs.send(new DeleteMessageCommand({
+    QueueUrl: sqsUrl,
+    ReceiptHandle: message.ReceiptHandle
+  }));
+  logger.info(`message ${message.MessageId} deleted from the queue`);
+}
+
+/**
+* Get the number of times an SQS message has been received, including this time
+*
+* @param {Object} message - the received message
+* @returns {integer} the receive count
+**/
+function getReceiveCount(message) {
+  return Number((message.Attributes || {}).ApproximateReceiveCount) || 1;
+}
+
+/**
+* Make an SQS message visible again straight away, so another worker can receive it
+*
+* @param {Object} sqs - the SQS client
+* @param {string} sqsUrl - the queue url
+* @param {Object} message - the received message
+* @param {Logger} [logger] - the task's logger
+* @returns {Promise<undefined>} resolves when the message is released
+**/
+async function releaseSqsMessage(sqs, sqsUrl, message, logger = log) {
+  await sqs.send(new ChangeMessageVisibilityCommand({
+    QueueUrl: sqsUrl,
+    ReceiptHandle: message.ReceiptHandle,
+    VisibilityTimeout: 0
+  }));
+  logger.info(`message ${message.MessageId} released back to the queue`);
+}
+
+/**
+* Serialize a failed SQS message for the failure queue, within SQS's size limit.
+* If it does not fit, the error's stack trace is dropped and its message
+* truncated, then the original body is truncated, and `bodyTruncated` and the
+* body's original `bodyBytes` are added.
+*
+* @param {Object} message - the received message
+* @param {Error} err - the error the task failed with
+* @param {string} sqsUrl - the URL of the queue the message was received from
+* @returns {string} the JSON message body
+**/
+function serializeFailedSqsMessage(message, err, sqsUrl) {
+  const failed = {
+    body: message.Body,
+    error: describeError(err),
+    messageId: message.MessageId,
+    receiveCount: getReceiveCount(message),
+    sourceQueueUrl: sqsUrl
+  };
+  let serialized = JSON.stringify(failed);
+  if (Buffer.byteLength(serialized) <= maxSqsMessageBytes) {
+    return serialized;
+  }
+
+  const error = {
+    ...failed.error,
+    errorMessage: truncate(failed.error.errorMessage, { length: maxTaskFailureCauseLength }),
+    stackTrace: []
+  };
+  let { body } = failed;
+  const bodyBytes = Buffer.byteLength(body);
+  serialized = JSON.stringify({
+    ...failed, body, error, bodyTruncated: true, bodyBytes
+  });
+  while (Buffer.byteLength(serialized) > maxSqsMessageBytes && body.length > 3) {
+    body = truncate(body, {
+      length: body.length - (Buffer.byteLength(serialized) - maxSqsMessageBytes)
+    });
+    serialized = JSON.stringify({
+      ...failed, body, error, bodyTruncated: true, bodyBytes
+    });
+  }
+  return serialized;
+}
+
+/**
+* Decide what happens to an SQS message whose task failed.  The message is given
+* up on once it has been received `maxReceiveCount` times, or straight away if it
+* could not be parsed or has no task token and there is a failure queue to send
+* it to.  A message that is given up on is forwarded to the failure queue, if
+* there is one, and deleted.  Otherwise it is left on the queue to be
+* redelivered, straight away if its task timed out or was cancelled by shutdown.
+*
+* @param {Object} sqs - the SQS client
+* @param {Object} message - the received message
+* @param {Error} err - the error the task failed with
+* @param {Object} options - options object, see `runServiceFromSQS`
+* @returns {Promise<undefined>} resolves when the message has been handled
+**/
+async function handleFailedSqsMessage(sqs, message, err, options) {
+  const { sqsUrl, failureQueueUrl, maxReceiveCount } = options;
+  const messageId = message.MessageId;
+  const receiveCount = getReceiveCount(message);
+  const poison = [unparseableMessageError, missingTaskTokenError].includes(err.name);
+  const logger = getLogger(options);
+
+  if ((maxReceiveCount && receiveCount >= maxReceiveCount) || (poison && failureQueueUrl)) {
+    if (failureQueueUrl) {
+      await sqs.send(new SendMessageCommand({
+        QueueUrl: failureQueueUrl,
+        MessageBody: serializeFailedSqsMessage(message, err, sqsUrl)
+      }));
+      logger.info(`message ${messageId} forwarded to the failure queue ${failureQueueUrl}`);
+    }
+    else {
+      logger.warn(`discarding message ${messageId} after ${receiveCount} receives: ${message.Body}`);
+    }
+    await deleteSqsMessage(sqs, sqsUrl, message, logger);
+    return;
+  }
+
+  if (err.name === 'States.Timeout' || err.name === ShutdownManager.cancelledTaskError) {
+    await releaseSqsMessage(sqs, sqsUrl, message, logger);
+  }
+}
+
+/**
+* Convert a JSON path such as `$.TaskToken` to a lodash path such as `TaskToken`.
+* `$` converts to an empty path, meaning the whole object.
+*
+* @param {string} jsonPath - the JSON path, with or without the leading `$.`
+* @returns {string} the lodash path
+**/
+function toObjectPath(jsonPath) {
+  return jsonPath.replace(/^\$\.?/, '');
+}
+
+/**
+* Run the task for an SQS message sent by a Step Functions `.waitForTaskToken`
+* integration.  The handler runs on the message's input and its result is
+* reported to Step Functions like an activity task's, see `handlePollResponse`.
+*
+* @param {Object} message - the received message
+* @param {Object} body - the message's parsed body
+* @param {Object} lambdaFunction - the installed lambda function, see `installLambdaFunction`
+* @param {Object} options - options object, see `runServiceFromSQS`
+* @returns {Promise<undefined>} resolves once the result has been reported
+**/
+async function handleTaskTokenMessage(message, body, lambdaFunction, options) {
+  const tokenPath = toObjectPath(options.taskTokenPath);
+  const taskToken = get(body, tokenPath);
+  if (!taskToken || typeof taskToken !== 'string') {
+    const err = new Error(`Message ${message.MessageId} has no task token at ${options.taskTokenPath}`);
+    err.name = missingTaskTokenError;
+    throw err;
+  }
+
+  let event;
+  if (options.taskInputPath) {
+    const inputPath = toObjectPath(options.taskInputPath);
+    event = inputPath ? get(body, inputPath) : body;
+  }
+  else {
+    event = omit(body, tokenPath);
+  }
+
+  await handlePollResponse(event, taskToken, lambdaFunction, {
+    ...options,
+    logger: getLogger(options).child(getTaskLogFields(event, taskToken))
+  });
+}
+
+/**
+* Run the task for an SQS message.  The message is deleted if the task succeeds,
+* and otherwise handled by `handleFailedSqsMessage`.  With `options.taskTokenPath`
+* the task's result is reported to Step Functions instead, and the message is
+* deleted once it has been reported, whether the task succeeded or not.
+*
+* @param {Object} sqs - the SQS client
+* @param {Object} message - the received message
+* @param {Object} lambdaFunction - the installed lambda function, see `installLambdaFunction`
+* @param {Object} options - options object, see `runServiceFromSQS`
+* @returns {Promise<boolean>} resolves to true if the message was deleted
+**/
+async function handleSqsMessage(sqs, message, lambdaFunction, options) {
+  const messageId = message.MessageId;
+  const logger = getLogger(options);
+  logger.info(`received message ${messageId} from queue, executing the task`);
+
+  let event;
+  try {
+    event = JSON.parse(message.Body);
+  }
+  catch (err) {
+    const parseError = new Error(`Message ${messageId} could not be parsed as JSON: ${err.message}`);
+    parseError.name = unparseableMessageError;
+    workerMetrics.unparseableMessages.inc();
+    logger.error('unparseable message received from the queue', parseError);
+    await handleFailedSqsMessage(sqs, message, parseError, options);
+    return false;
+  }
+
+  try {
+    if (options.taskTokenPath) {
+      await handleTaskTokenMessage(message, event, lambdaFunction, options);
+    }
+    else {
+      await handleResponse(event, lambdaFunction, options);
+      recordTaskOutcome(options, 'Succeeded');
+    }
+  }
+  catch (err) {
+    logger.error(`task for message ${messageId} failed`, err);
+    await handleFailedSqsMessage(sqs, message, err, options);
+    return false;
+  }
+
+  await deleteSqsMessage(sqs, options.sqsUrl, message, logger);
+  return true;
 }
 
 /**
@@ -375,81 +1894,220 @@ async function runTask(options) {
 *
 * @param {Object} options - options object
 * @param {string} options.lambdaArn - the arn of the lambda handler
+* @param {string} [options.lambdaZip] - path to a local zip file of the lambda function to
+* run instead of downloading it
+* @param {string} [options.lambdaDir] - path to a local directory of the lambda function to
+* run instead of downloading it
+* @param {string} [options.handler] - the handler to run from the local lambda function,
+* e.g. `index.handler`. Required with `lambdaZip` or `lambdaDir`
+* @param {Array<string>} [options.layers] - paths to local layer zip files or directories to
+* use with `lambdaZip` or `lambdaDir`
+* @param {string} [options.cacheDirectory] - directory to cache downloaded function and layer
+* code in across runs. Caching is disabled if not set
+* @param {number} [options.cacheMaxSize=1024] - size in megabytes to trim the code cache to
+* @param {number} [options.cacheMaxAge=30] - days after which unused cached code is evicted
 * @param {string} options.sqsUrl - the url to the sqs queue
-* @param {integer} options.heartbeat - number of milliseconds between heartbeat messages.
-* defaults to null, which deactivates heartbeats
+* @param {string} [options.taskTokenPath] - JSON path to the Step Functions task token in
+* messages sent by a `.waitForTaskToken` integration, e.g. `$.TaskToken`. when set, task
+* results are reported to Step Functions
+* @param {string} [options.taskInputPath] - JSON path to the handler's input in messages with
+* a task token, e.g. `$.Input`. defaults to the message without its task token
+* @param {integer} [options.batchSize=1] - number of messages to receive at a time, up to 10
+* @param {integer} [options.concurrency=1] - number of received messages to execute at the
+* same time
+* @param {integer} [options.visibilityTimeout=30] - seconds a received message stays invisible
+* to other consumers. it is extended every half timeout while the message's task runs
+* @param {integer} [options.maxReceiveCount] - number of times a message whose task fails is
+* received before it is given up on. defaults to null, which leaves failed messages to the
+* queue's own redrive policy
+* @param {string} [options.failureQueueUrl] - the url to an sqs queue that messages which are
+* given up on, or could not be parsed, are forwarded to along with their error
+* @param {integer} options.heartbeat - number of milliseconds between heartbeat messages for
+* messages with a task token. defaults to null, which deactivates heartbeats
 * @param {string} options.taskDirectory - the directory to put the unzipped lambda zip
 * @param {string} options.workDirectory - the directory to use for downloading the lambda zip file
+* @param {string} [options.environmentPrecedence='container'] - whether `container` or `lambda`
+* environment variables win when both set a value
+* @param {integer} [options.taskTimeout] - number of seconds a task may run before it fails
+* with a `States.Timeout` error. defaults to the lambda function's configured timeout
+* @param {boolean} [options.captureHandlerOutput=false] - whether to log what the handler writes
+* with `console` or to stdout and stderr as JSON log entries tied to the task, instead of as
+* raw text
+* @param {boolean} [options.emitEmf=false] - whether to log each task's metrics in CloudWatch
+* Embedded Metric Format
+* @param {string} [options.emfNamespace='CumulusEcsTask'] - CloudWatch namespace of the task
+* metrics logged with `emitEmf`
+* @param {string} [options.outputBucket] - bucket to offload task outputs that are too large for
+* Step Functions to. without it, such tasks fail with a `PayloadTooLarge` error
+* @param {string} [options.outputPrefix='cumulus-ecs-task/outputs/'] - key prefix for offloaded
+* outputs
+* @param {string} [options.s3Endpoint] - endpoint of an S3-compatible service to offload outputs
+* to instead of S3
+* @param {integer} [options.reportRetries=5] - number of times to retry reporting a task's result
+* to Step Functions after throttling or transient errors
+* @param {integer} [options.reportRetryDelay=1000] - number of milliseconds before the first
+* retry, doubling for each retry after it
+* @param {ShutdownManager} [options.shutdownManager] - stops the service. defaults to one that
+* listens for SIGTERM and SIGINT
+* @param {number} [options.shutdownGracePeriod=25] - number of seconds running tasks may take to
+* finish after a signal before they are cancelled, when `shutdownManager` is not set
+* @param {integer} [options.pollBackoffDelay=1000] - number of milliseconds, with jitter, to wait
+* before polling again after a poll fails, doubling for each failure in a row up to a minute
+* @param {integer} [options.maxPollFailures=10] - number of polls in a row that may fail before
+* the service stops and rejects with a `PollCircuitOpen` error. 0 never stops the service
+* @param {integer} [options.reloadInterval] - number of milliseconds between checks for a
+* redeployed lambda function, which is installed between tasks. defaults to null, which
+* deactivates reloading
 * @param {boolean} [options.runForever=true] - whether to poll the activity forever (defaults to true)
 * @returns {Promise<undefined>} undefined
 **/
 async function runServiceFromSQS(options) {
   assert(options && typeof options === 'object', 'options.lambdaArn string is required');
-  assert(options.lambdaArn && typeof options.lambdaArn === 'string', 'options.lambdaArn string is required');
+  assertLambdaSourceOptions(options);
   assert(options.sqsUrl && typeof options.sqsUrl === 'string', 'options.sqsUrl string is required');
   assert(options.taskDirectory && typeof options.taskDirectory === 'string', 'options.taskDirectory string is required');
   assert(options.workDirectory && typeof options.workDirectory === 'string', 'options.workDirectory string is required');
   assert(!options.layersDirectory || typeof options.layersDirectory === 'string', 'options.layersDir should be a string');
+  assert(!options.cacheDirectory || typeof options.cacheDirectory === 'string', 'options.cacheDirectory should be a string');
+  assert(!options.environmentPrecedence || environmentPrecedences.includes(options.environmentPrecedence), `options.environmentPrecedence should be one of ${environmentPrecedences.join(', ')}`);
+  assert(!options.taskTimeout || Number.isInteger(options.taskTimeout), 'options.taskTimeout must be an integer');
+  assert(!options.emfNamespace || typeof options.emfNamespace === 'string', 'options.emfNamespace should be a string');
+  assert(!options.outputBucket || typeof options.outputBucket === 'string', 'options.outputBucket should be a string');
+  assert(!options.s3Endpoint || typeof options.s3Endpoint === 'string', 'options.s3Endpoint should be a string');
+  assert(options.reportRetries === undefined || options.reportRetries === null || Number.isInteger(options.reportRetries), 'options.reportRetries must be an integer');
+  assert(!options.reportRetryDelay || Number.isInteger(options.reportRetryDelay), 'options.reportRetryDelay must be an integer');
+  assert(!options.pollBackoffDelay || Number.isInteger(options.pollBackoffDelay), 'options.pollBackoffDelay must be an integer');
+  assert(options.maxPollFailures === undefined || options.maxPollFailures === null || Number.isInteger(options.maxPollFailures), 'options.maxPollFailures must be an integer');
+
+  if (options.batchSize) {
+    assert(Number.isInteger(options.batchSize) && options.batchSize > 0 && options.batchSize <= maxSqsBatchSize, `options.batchSize must be an integer from 1 to ${maxSqsBatchSize}`);
+  }
+  if (options.concurrency) {
+    assert(Number.isInteger(options.concurrency) && options.concurrency > 0, 'options.concurrency must be a positive integer');
+  }
+  assert(!options.failureQueueUrl || typeof options.failureQueueUrl === 'string', 'options.failureQueueUrl should be a string');
+  assert(!options.taskTokenPath || typeof options.taskTokenPath === 'string', 'options.taskTokenPath should be a string');
+  assert(!options.taskInputPath || (typeof options.taskInputPath === 'string' && options.taskTokenPath), 'options.taskInputPath should be a string, used with options.taskTokenPath');
+  if (options.heartbeat) {
+    assert(Number.isInteger(options.heartbeat), 'options.heartbeat must be an integer');
+  }
+  if (options.maxReceiveCount) {
+    assert(Number.isInteger(options.maxReceiveCount) && options.maxReceiveCount > 0, 'options.maxReceiveCount must be a positive integer');
+  }
+  if (options.visibilityTimeout) {
+    assert(Number.isInteger(options.visibilityTimeout) && options.visibilityTimeout > 1, 'options.visibilityTimeout must be an integer greater than 1');
+  }
+  assertReloadOptions(options);
 
   const sqs = new SQS({ region });
 
-  const {
-    lambdaArn, sqsUrl, taskDirecotry, workDirectory
-  } = options;
+  const { sqsUrl, reloadInterval } = options;
+  const queueName = sqsUrl.split('/').pop();
+  const batchSize = options.batchSize || 1;
+  const concurrency = options.concurrency || 1;
+  const visibilityTimeout = options.visibilityTimeout || defaultVisibilityTimeoutSeconds;
   const layersDir = options.layersDirectory ? options.layersDirectory : layersDefaultDirectory;
 
   const runForever = isBoolean(options.runForever) ? options.runForever : true;
 
-  log.sender = getLogSenderFromLambdaId(lambdaArn);
+  log.sender = getLogSenderFromLambdaId(getLambdaId(options));
 
   log.info('Downloading the Lambda function');
-  const handler = await installLambdaFunction(lambdaArn, workDirectory, taskDirecotry, layersDir);
+  // the interval is measured from when the installed configuration was read
+  let lastReloadCheck = Date.now();
+  let lambdaFunction = await installLambdaFunction(options, layersDir);
+  workerStatus.installed();
 
-  let sigTermReceived = false;
-  process.on('SIGTERM', () => {
-    log.info('Received SIGTERM, will stop polling for new work');
-    sigTermReceived = true;
-  });
+  const shutdown = getShutdownManager(options);
+  const taskOptions = { ...options, signal: shutdown.taskSignal };
+  const backoff = createPollBackoff(options);
 
   /* eslint-disable no-await-in-loop*/
   let counter = 1;
   do {
+    if (reloadInterval && Date.now() - lastReloadCheck >= reloadInterval) {
+      lastReloadCheck = Date.now();
+      lambdaFunction = await reloadLambdaFunction(lambdaFunction, options, layersDir);
+    }
+
+    let resp;
     try {
       log.info(`[${counter}] Getting tasks from ${sqsUrl}`);
-      const resp = await sqs.send(new ReceiveMessageCommand({
+      const endPoll = workerMetrics.pollDuration.startTimer();
+      resp = await sqs.send(new ReceiveMessageCommand({
         QueueUrl: sqsUrl,
+        MessageSystemAttributeNames: ['ApproximateReceiveCount'],
+        MaxNumberOfMessages: batchSize,
+        VisibilityTimeout: visibilityTimeout,
         WaitTimeSeconds: 20
-      }));
-      const messages = resp.Messages;
-      if (messages) {
-        const promises = messages.map(async(message) => {
-          if (message && message.Body) {
-            const receipt = message.ReceiptHandle;
-            log.info('received message from queue, executing the task');
-            const event = JSON.parse(message.Body);
-            await handleResponse(event, handler);
-
-            // remove the message from queue
-            log.info(`message with handler ${receipt} deleted from the queue`);
-            await sqs.deleteMessage(new DeleteMessageCommand({
-              QueueUrl: sqsUrl,
-              ReceiptHandle: receipt
-            }));
+      }), { abortSignal: shutdown.pollSignal });
+      endPoll();
+      workerStatus.polled();
+      backoff.succeeded();
+    }
+    catch (e) {
+      await handlePollError(backoff, shutdown, e);
+    }
+
+    if (resp) {
+      try {
+        const messages = (resp.Messages || []).filter((message) => message.Body);
+        if (messages.length) {
+          const taskFunction = lambdaFunction;
+          const poll = counter;
+          const pendingMessages = new Set(messages);
+          const extension = startVisibilityExtension(
+            sqs,
+            sqsUrl,
+            pendingMessages,
+            visibilityTimeout
+          );
+          try {
+            await mapConcurrently(messages, concurrency, async(message) => {
+              const logger = log.child({ messageId: message.MessageId, poll });
+              // messages that have not started by shutdown are left to other workers
+              if (shutdown.stopping) {
+                pendingMessages.delete(message);
+                await releaseSqsMessage(sqs, sqsUrl, message, logger)
+                  .catch((err) => logger.error(`could not release message ${message.MessageId}`, err));
+                return false;
+              }
+              const messageOptions = {
+                ...taskOptions,
+                logger,
+                taskRecord: startTaskRecord({ Queue: queueName }, getReceiveCount(message) - 1)
+              };
+              try {
+                return await handleSqsMessage(sqs, message, taskFunction, messageOptions);
+              }
+              catch (err) {
+                logger.error(`could not finish handling message ${message.MessageId}`, err);
+                return false;
+              }
+              finally {
+                pendingMessages.delete(message);
+                recordTaskMetrics(messageOptions.taskRecord, messageOptions);
+              }
+            });
+          }
+          finally {
+            await clearIntervalAsync(extension);
           }
-          return undefined;
-        });
-        await promises;
+        }
+        else {
+          workerMetrics.emptyPolls.inc();
+          log.debug('There are no new messages in the queue. Polling again!');
+        }
       }
-      else {
-        log.info('There are no new messages in the queue. Polling again!');
+      catch (e) {
+        logLoopError(e);
       }
     }
-    catch (e) {
-      log.error('Task failed. trying again', e);
-    }
     counter += 1;
-  } while (runForever && !sigTermReceived);
+  } while (runForever && !shutdown.stopping && !backoff.tripped);
 
+  if (!options.shutdownManager) shutdown.close();
+  if (backoff.tripped) throw backoff.error;
   log.info('Exiting');
 }
 /* eslint-enable no-await-in-loop*/
@@ -460,76 +2118,221 @@ async function runServiceFromSQS(options) {
 *
 * @param {Object} options - options object
 * @param {string} options.lambdaArn - the arn of the lambda handler
+* @param {string} [options.lambdaZip] - path to a local zip file of the lambda function to
+* run instead of downloading it
+* @param {string} [options.lambdaDir] - path to a local directory of the lambda function to
+* run instead of downloading it
+* @param {string} [options.handler] - the handler to run from the local lambda function,
+* e.g. `index.handler`. Required with `lambdaZip` or `lambdaDir`
+* @param {Array<string>} [options.layers] - paths to local layer zip files or directories to
+* use with `lambdaZip` or `lambdaDir`
+* @param {string} [options.cacheDirectory] - directory to cache downloaded function and layer
+* code in across runs. Caching is disabled if not set
+* @param {number} [options.cacheMaxSize=1024] - size in megabytes to trim the code cache to
+* @param {number} [options.cacheMaxAge=30] - days after which unused cached code is evicted
 * @param {string} options.activityArn - the arn of the activity
 * @param {integer} options.heartbeat - number of milliseconds between heartbeat messages.
 * defaults to null, which deactivates heartbeats
+* @param {integer} [options.concurrency=1] - number of activity tasks to poll for and execute
+* at the same time
 * @param {string} options.taskDirectory - the directory to put the unzipped lambda zip
 * @param {string} options.workDirectory - the directory to use for downloading the lambda zip file
 * @param {string} options.layersDir - the directory to use for extracting lambda layers.  Defaults to /opt
+* @param {string} [options.environmentPrecedence='container'] - whether `container` or `lambda`
+* environment variables win when both set a value
+* @param {integer} [options.taskTimeout] - number of seconds a task may run before it fails
+* with a `States.Timeout` error. defaults to the lambda function's configured timeout
+* @param {boolean} [options.captureHandlerOutput=false] - whether to log what the handler writes
+* with `console` or to stdout and stderr as JSON log entries tied to the task, instead of as
+* raw text
+* @param {boolean} [options.emitEmf=false] - whether to log each task's metrics in CloudWatch
+* Embedded Metric Format
+* @param {string} [options.emfNamespace='CumulusEcsTask'] - CloudWatch namespace of the task
+* metrics logged with `emitEmf`
+* @param {string} [options.outputBucket] - bucket to offload task outputs that are too large for
+* Step Functions to. without it, such tasks fail with a `PayloadTooLarge` error
+* @param {string} [options.outputPrefix='cumulus-ecs-task/outputs/'] - key prefix for offloaded
+* outputs
+* @param {string} [options.s3Endpoint] - endpoint of an S3-compatible service to offload outputs
+* to instead of S3
+* @param {integer} [options.reportRetries=5] - number of times to retry reporting a task's result
+* to Step Functions after throttling or transient errors
+* @param {integer} [options.reportRetryDelay=1000] - number of milliseconds before the first
+* retry, doubling for each retry after it
+* @param {ShutdownManager} [options.shutdownManager] - stops the service. defaults to one that
+* listens for SIGTERM and SIGINT
+* @param {number} [options.shutdownGracePeriod=25] - number of seconds running tasks may take to
+* finish after a signal before they are cancelled, when `shutdownManager` is not set
+* @param {integer} [options.pollBackoffDelay=1000] - number of milliseconds, with jitter, to wait
+* before polling again after a poll fails, doubling for each failure in a row up to a minute
+* @param {integer} [options.maxPollFailures=10] - number of polls in a row that may fail before
+* the service stops and rejects with a `PollCircuitOpen` error. 0 never stops the service
+* @param {integer} [options.reloadInterval] - number of milliseconds between checks for a
+* redeployed lambda function, which is installed between tasks. defaults to null, which
+* deactivates reloading
 * @param {boolean} [options.runForever=true] - whether to poll the activity forever (defaults to true)
 * @returns {Promise<undefined>} undefined
 **/
 async function runServiceFromActivity(options) {
   assert(options && typeof options === 'object', 'options.lambdaArn string is required');
-  assert(options.lambdaArn && typeof options.lambdaArn === 'string', 'options.lambdaArn string is required');
+  assertLambdaSourceOptions(options);
   assert(options.activityArn && typeof options.activityArn === 'string', 'options.activityArn string is required');
   assert(options.taskDirectory && typeof options.taskDirectory === 'string', 'options.taskDirectory string is required');
   assert(options.workDirectory && typeof options.workDirectory === 'string', 'options.workDirectory string is required');
   assert(!options.layersDirectory || typeof options.layersDirectory === 'string', 'options.layersDir should be a string');
+  assert(!options.cacheDirectory || typeof options.cacheDirectory === 'string', 'options.cacheDirectory should be a string');
+  assert(!options.environmentPrecedence || environmentPrecedences.includes(options.environmentPrecedence), `options.environmentPrecedence should be one of ${environmentPrecedences.join(', ')}`);
+  assert(!options.taskTimeout || Number.isInteger(options.taskTimeout), 'options.taskTimeout must be an integer');
+  assert(!options.emfNamespace || typeof options.emfNamespace === 'string', 'options.emfNamespace should be a string');
+  assert(!options.outputBucket || typeof options.outputBucket === 'string', 'options.outputBucket should be a string');
+  assert(!options.s3Endpoint || typeof options.s3Endpoint === 'string', 'options.s3Endpoint should be a string');
+  assert(options.reportRetries === undefined || options.reportRetries === null || Number.isInteger(options.reportRetries), 'options.reportRetries must be an integer');
+  assert(!options.reportRetryDelay || Number.isInteger(options.reportRetryDelay), 'options.reportRetryDelay must be an integer');
+  assert(!options.pollBackoffDelay || Number.isInteger(options.pollBackoffDelay), 'options.pollBackoffDelay must be an integer');
+  assert(options.maxPollFailures === undefined || options.maxPollFailures === null || Number.isInteger(options.maxPollFailures), 'options.maxPollFailures must be an integer');
 
   if (options.heartbeat) {
     assert(Number.isInteger(options.heartbeat), 'options.heartbeat must be an integer');
   }
+  if (options.concurrency) {
+    assert(Number.isInteger(options.concurrency) && options.concurrency > 0, 'options.concurrency must be a positive integer');
+  }
+  assertReloadOptions(options);
 
-  const {
-    lambdaArn, activityArn, taskDirectory, workDirectory, heartbeat
-  } = options;
+  const { activityArn, reloadInterval } = options;
+  const activityName = activityArn.split(':').pop();
+  const concurrency = options.concurrency || 1;
   const layersDir = options.layersDirectory ? options.layersDirectory : layersDefaultDirectory;
 
   const runForever = isBoolean(options.runForever) ? options.runForever : true;
 
-  log.sender = getLogSenderFromLambdaId(lambdaArn);
+  log.sender = getLogSenderFromLambdaId(getLambdaId(options));
 
   log.info('Downloading the Lambda function');
-  const handler = await installLambdaFunction(lambdaArn, workDirectory, taskDirectory, layersDir);
+  // the interval is measured from when the installed configuration was read
+  let lastReloadCheck = Date.now();
+  let lambdaFunction = await installLambdaFunction(options, layersDir);
+  workerStatus.installed();
 
-  let sigTermReceived = false;
-  process.on('SIGTERM', () => {
-    log.info('Received SIGTERM, will stop polling for new work');
-    sigTermReceived = true;
-  });
+  const shutdown = getShutdownManager(options);
+  const taskOptions = { ...options, signal: shutdown.taskSignal };
+  const backoff = createPollBackoff(options);
+
+  // polls in progress, each with the task it receives, and the pending reload if
+  // there is one. A reload waits for every poll and its task to finish, and no
+  // poll starts until the reload is done, so a task never runs while its code
+  // is being replaced and no received task waits without a heartbeat
+  const activePolls = new Set();
+  let reloading;
 
   /* eslint-disable no-await-in-loop*/
 
-  let counter = 1;
-  do {
-    log.info(`[${counter}] Getting tasks from ${activityArn}`);
+  /**
+  * Reinstall the lambda function if it has been redeployed, once no polls or tasks are running
+  *
+  * @returns {Promise<undefined>} resolves when the reload check is done
+  **/
+  function reloadWhenIdle() {
+    lastReloadCheck = Date.now();
+    reloading = Promise.allSettled(activePolls)
+      .then(() => reloadLambdaFunction(lambdaFunction, options, layersDir))
+      .then((reloaded) => {
+        lambdaFunction = reloaded;
+      })
+      .finally(() => {
+        reloading = undefined;
+      });
+    return reloading;
+  }
+
+  /**
+  * Poll for an activity task and execute it if there is one
+  *
+  * @param {string|integer} label - the poll's label in log entries
+  * @returns {Promise<undefined>} resolves when the poll and its task are done
+  **/
+  async function pollOnce(label) {
+    log.info(`[${label}] Getting tasks from ${activityArn}`);
     let activity;
     try {
-      activity = await getActivityTask(activityArn);
-      if (activity) {
+      const endPoll = workerMetrics.pollDuration.startTimer();
+      activity = await getActivityTask(activityArn, shutdown.pollSignal);
+      endPoll();
+      workerStatus.polled();
+      backoff.succeeded();
+    }
+    catch (e) {
+      await handlePollError(backoff, shutdown, e);
+    }
+
+    if (activity) {
+      const logger = log.child({
+        activity: activityName,
+        poll: label,
+        ...getTaskLogFields(activity.event, activity.token)
+      });
+      const activityOptions = {
+        ...taskOptions,
+        logger,
+        taskRecord: startTaskRecord({ Activity: activityName })
+      };
+      try {
         await handlePollResponse(
           activity.event,
           activity.token,
-          handler,
-          heartbeat
+          lambdaFunction,
+          activityOptions
         );
       }
-    }
-    catch (e) {
-      log.error('Task failed. trying again', e);
-      if (activity) {
-        await sendTaskFailure(activity.token, e);
+      catch (e) {
+        logLoopError(e, logger);
+        if (e.name !== reportFailedError) {
+          await sendTaskFailure(activity.token, e, { ...options, logger })
+            .catch((err) => logger.error('Could not report the task\'s failure', err));
+        }
       }
+      recordTaskMetrics(activityOptions.taskRecord, activityOptions);
     }
-    counter += 1;
-  } while (runForever && !sigTermReceived);
+  }
+
+  /**
+  * Poll for and execute activity tasks one at a time until polling stops.
+  * Polling waits for any pending reload, whichever slot started it.
+  *
+  * @param {integer} slot - the number of this poll-and-execute slot, from 1
+  * @returns {Promise<undefined>} resolves when polling stops and the last task is done
+  **/
+  async function pollSlot(slot) {
+    let counter = 1;
+    do {
+      if (reloadInterval && !reloading && Date.now() - lastReloadCheck >= reloadInterval) {
+        reloadWhenIdle();
+      }
+      while (reloading) await reloading;
+
+      const poll = pollOnce(concurrency > 1 ? `${slot}:${counter}` : counter);
+      activePolls.add(poll);
+      try {
+        await poll;
+      }
+      finally {
+        activePolls.delete(poll);
+      }
+      counter += 1;
+    } while (runForever && !shutdown.stopping && !backoff.tripped);
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, (_value, i) => pollSlot(i + 1)));
 
+  if (!options.shutdownManager) shutdown.close();
+  if (backoff.tripped) throw backoff.error;
   log.info('Exiting');
 }
 /* eslint-enable no-await-in-loop*/
 
 module.exports = {
+  metrics,
+  workerStatus,
   runServiceFromActivity,
   runServiceFromSQS,
   runTask
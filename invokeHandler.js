@@ -0,0 +1,178 @@
+'use strict';
+
+const asyncHooks = require('async_hooks');
+
+// How often to check whether the work started by a handler has finished
+const emptyEventLoopPollInterval = 10;
+
+// Runs handlers that cannot use a callback, which have no need to be tracked
+const untrackedInvocation = {
+  run: (fn) => fn(),
+  whenIdle: (fn) => fn(),
+  stop: () => {}
+};
+
+// A handler that throws or rejects with no value has still failed
+// eslint-disable-next-line require-jsdoc
+const toError = (err) => err || new Error('Handler failed without an error value');
+
+/**
+ * Determine whether an async resource keeps the event loop alive.  Handles and
+ * timers report this through `hasRef`; requests such as FSREQCALLBACK,
+ * GETADDRINFOREQWRAP or WRITEWRAP keep it alive until they complete.
+ *
+ * @param {string} type - the async resource type
+ * @param {Object} resource - the async resource
+ * @returns {boolean} true if the resource is keeping the event loop alive
+ */
+function isPending(type, resource) {
+  if (typeof resource.hasRef === 'function') {
+    return resource.hasRef();
+  }
+  return /REQ|WRAP$/.test(type);
+}
+
+/**
+ * Track the asynchronous resources created by a single handler invocation so
+ * that the runner can tell when the invocation's share of the event loop is
+ * empty.  The ECS service never has a truly empty event loop, so this stands
+ * in for Lambda's `callbackWaitsForEmptyEventLoop` check.  Ids are forgotten
+ * once their resources are destroyed, so long invocations do not grow the
+ * tracker without limit.
+ *
+ * @returns {Object} a tracker with `run`, `whenIdle` and `stop` methods
+ */
+function createInvocationTracker() {
+  const invocationScope = new asyncHooks.AsyncResource('LambdaInvocation');
+  const runnerScope = new asyncHooks.AsyncResource('LambdaRunner');
+  const invocationIds = new Set([invocationScope.asyncId()]);
+  const resources = new Map();
+
+  const hook = asyncHooks.createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      if (invocationIds.has(triggerAsyncId)) {
+        invocationIds.add(asyncId);
+        if (type !== 'PROMISE') {
+          resources.set(asyncId, { type, resource });
+        }
+      }
+    },
+    destroy(asyncId) {
+      invocationIds.delete(asyncId);
+      resources.delete(asyncId);
+    }
+  });
+  hook.enable();
+
+  /**
+   * Call `fn` once none of the tracked resources keep the event loop alive.
+   * The polling timer is created in the runner's scope so it is not tracked.
+   *
+   * @param {Function} fn - the function to call
+   * @returns {undefined} no return value
+   */
+  function whenIdle(fn) {
+    runnerScope.runInAsyncScope(function check() {
+      const pending = Array.from(resources.values())
+        .some(({ type, resource }) => isPending(type, resource));
+      if (pending) {
+        setTimeout(check, emptyEventLoopPollInterval);
+      }
+      else {
+        fn();
+      }
+    });
+  }
+
+  return {
+    run: (fn) => invocationScope.runInAsyncScope(fn),
+    whenIdle,
+    stop: () => {
+      hook.disable();
+      invocationIds.clear();
+      resources.clear();
+    }
+  };
+}
+
+/**
+ * Invoke a Lambda handler the way the Lambda Node.js runtime does.  Handlers may
+ * return a promise, return a value synchronously, or use the
+ * `(event, context, callback)` signature; the invocation settles on whichever
+ * of the returned promise or the callback fires first.  When the callback is
+ * used and `context.callbackWaitsForEmptyEventLoop` is true, the invocation
+ * settles only once the work the handler started has finished, which is only
+ * tracked for handlers that take a callback.  Tracking also stops when
+ * `context.abortSignal` is aborted, since the runner no longer waits for the
+ * invocation then.
+ *
+ * @param {Function} handler - the lambda function to execute
+ * @param {Object} event - the event to pass to the lambda function
+ * @param {Object} context - the lambda context object
+ * @returns {Promise} the lambda functions response
+ */
+function invokeHandler(handler, event, context) {
+  const tracker = handler.length >= 3 ? createInvocationTracker() : untrackedInvocation;
+  const { abortSignal } = context;
+  if (abortSignal) abortSignal.addEventListener('abort', tracker.stop, { once: true });
+
+  return new Promise((resolve, reject) => {
+    let responded = false;
+
+    /**
+     * Settle the invocation and stop tracking its resources
+     *
+     * @param {Error} err - the error, if the handler failed
+     * @param {*} result - the handler's result
+     * @returns {undefined} no return value
+     */
+    function settle(err, result) {
+      tracker.stop();
+      if (abortSignal) abortSignal.removeEventListener('abort', tracker.stop);
+      if (err) reject(err);
+      else resolve(result);
+    }
+
+    /**
+     * Record the handler's response, ignoring any after the first
+     *
+     * @param {Error} err - the error, if the handler failed
+     * @param {*} result - the handler's result
+     * @param {boolean} waitForEmptyEventLoop - whether to wait for pending work
+     * @returns {undefined} no return value
+     */
+    function respond(err, result, waitForEmptyEventLoop = false) {
+      if (responded) return;
+      responded = true;
+      if (waitForEmptyEventLoop) {
+        tracker.whenIdle(() => settle(err, result));
+      }
+      else {
+        settle(err, result);
+      }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    const callback = (err, result) => respond(
+      err, result, context.callbackWaitsForEmptyEventLoop !== false
+    );
+
+    let returned;
+    try {
+      returned = tracker.run(() => handler(event, context, callback));
+    }
+    catch (err) {
+      respond(toError(err));
+      return;
+    }
+
+    if (returned && typeof returned.then === 'function') {
+      returned.then((result) => respond(null, result), (err) => respond(toError(err)));
+    }
+    else if (returned !== undefined || handler.length < 3) {
+      respond(null, returned);
+    }
+  });
+}
+
+module.exports = invokeHandler;
@@ -1,3 +1,5 @@
+/* eslint no-console: "off" */
+
 'use strict';
 
 /**
@@ -14,7 +16,103 @@ async function handler(event, _context) {
   return event;
 }
 
-module.exports = {
-  handler
+/**
+ * Example lambda function that returns the context it was invoked with
+ *
+ * @param {Object} _event - lambda event object (unused)
+ * @param {Object} context - lambda context object
+ * @returns {Object} the serializable fields of the context and the remaining time
+ */
+async function contextHandler(_event, context) {
+  return {
+    ...context,
+    remainingTimeInMillis: context.getRemainingTimeInMillis()
+  };
+}
+
+/**
+ * Example callback-style lambda function that keeps working after it calls back
+ *
+ * @param {Object} event - lambda event object
+ * @param {Object} context - lambda context object
+ * @param {Function} callback - lambda callback
+ * @returns {undefined} undefined
+ */
+function callbackHandler(event, context, callback) {
+  const output = { ...event, pendingWorkDone: false };
+  if (event.callbackWaitsForEmptyEventLoop === false) {
+    context.callbackWaitsForEmptyEventLoop = false;
+  }
+  setTimeout(() => {
+    output.pendingWorkDone = true;
+  }, 50);
 
+  if (event.error) {
+    callback(new Error(event.error));
+  }
+  else {
+    callback(null, output);
+  }
+}
+
+/**
+ * Example synchronous lambda function
+ *
+ * @param {Object} event - lambda event object
+ * @returns {Object} the event
+ */
+function syncHandler(event) {
+  if (event.throw !== undefined) {
+    throw event.throw;
+  }
+  if (event.error) {
+    throw new Error(event.error);
+  }
+  return event;
+}
+
+/**
+ * Example lambda function that never responds
+ *
+ * @returns {Promise} a promise that never settles
+ */
+function hangingHandler() {
+  return new Promise(() => {});
+}
+
+/**
+ * Example lambda function that responds after `event.delay` milliseconds
+ *
+ * @param {Object} event - lambda event object
+ * @returns {Promise<Object>} the event
+ */
+function slowHandler(event) {
+  return new Promise((resolve) => setTimeout(() => resolve(event), event.delay));
+}
+
+/**
+ * Example lambda function that writes to the console and straight to stdout and
+ * stderr, after `event.delay` milliseconds if set
+ *
+ * @param {Object} event - lambda event object
+ * @returns {Promise<Object>} the event
+ */
+async function consoleHandler(event) {
+  console.log(`starting ${event.id}`);
+  await new Promise((resolve) => setTimeout(resolve, event.delay || 0));
+  console.error(`first line of ${event.id}\nsecond line of ${event.id}`);
+  process.stdout.write(`partial write of ${event.id}, `);
+  process.stdout.write('continued\n');
+  process.stderr.write('stderr output\n');
+  return event;
+}
+
+module.exports = {
+  callbackHandler,
+  consoleHandler,
+  contextHandler,
+  handler,
+  hangingHandler,
+  slowHandler,
+  syncHandler
 };
@@ -1,5 +1,7 @@
 'use strict';
 
+const asyncHooks = require('async_hooks');
+const crypto = require('crypto');
 const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
@@ -10,17 +12,44 @@ const { mockClient } = require('aws-sdk-client-mock');
 const {
   Lambda,
   GetLayerVersionByArnCommand,
-  GetFunctionCommand
+  GetFunctionCommand,
+  GetFunctionConfigurationCommand
 } = require('@aws-sdk/client-lambda');
 const {
   GetActivityTaskCommand,
+  SendTaskHeartbeatCommand,
   SendTaskSuccessCommand,
   SFN,
   SendTaskFailureCommand
 } = require('@aws-sdk/client-sfn');
-const { runTask, runServiceFromActivity } = require('../index');
+const { PutObjectCommand, S3 } = require('@aws-sdk/client-s3');
+const {
+  ChangeMessageVisibilityBatchCommand,
+  ChangeMessageVisibilityCommand,
+  DeleteMessageCommand,
+  ReceiveMessageCommand,
+  SendMessageCommand,
+  SQS
+} = require('@aws-sdk/client-sqs');
+const CodeCache = require('../CodeCache');
+const PollBackoff = require('../PollBackoff');
+const ShutdownManager = require('../ShutdownManager');
+const WorkerStatus = require('../WorkerStatus');
+const captureOutput = require('../captureOutput');
+const extractZip = require('../unzip');
+const invokeHandler = require('../invokeHandler');
+const Logger = require('../Logger');
+const Metrics = require('../Metrics');
+const {
+  metrics,
+  runTask,
+  runServiceFromActivity,
+  runServiceFromSQS,
+  workerStatus
+} = require('../index');
 
 const lambdaMock = mockClient(Lambda);
+const sqsMock = mockClient(SQS);
 
 test.beforeEach(async(t) => {
   t.context.tempDir = path.join(os.tmpdir(), 'cumulus-ecs-task', `${Date.now()}`, path.sep);
@@ -110,9 +139,92 @@ test.beforeEach(async(t) => {
     });
 });
 
+/**
+ * Replace the function configuration returned by the mocked GetFunctionCommand
+ *
+ * @param {Object} t - the ava test object
+ * @param {Object} configuration - configuration fields to add to the default ones
+ * @returns {undefined} no return value
+ */
+function mockFunctionConfiguration(t, configuration) {
+  lambdaMock
+    .on(GetFunctionCommand)
+    .resolves({
+      Code: {
+        Location: `https://example.com${t.context.lambdaZipUrlPath}`
+      },
+      Configuration: {
+        Handler: t.context.expectedOutput.join('.'),
+        Layers: ['notARealArn'],
+        ...configuration
+      }
+    });
+}
+
+/**
+ * Read a sample's value from the worker's metrics
+ *
+ * @param {string} name - the sample name, without the `cumulus_ecs_task_` prefix
+ * @returns {number} the value
+ */
+function metricValue(name) {
+  const line = metrics.render().split('\n')
+    .find((sample) => sample.startsWith(`cumulus_ecs_task_${name} `));
+  return Number(line.split(' ')[1]);
+}
+
+/**
+ * Calculate the base64-encoded SHA-256 of a file, as the Lambda API reports it
+ *
+ * @param {string} filename - the file
+ * @returns {string} the base64-encoded SHA-256
+ */
+function sha256File(filename) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filename)).digest('base64');
+}
+
+/**
+ * Run a task with the test's directories
+ *
+ * @param {Object} t - the ava test object
+ * @param {Object} lambdaInput - the input to the lambda handler
+ * @param {Object} [options] - additional options for `runTask`
+ * @returns {Promise} the output of the lambda function
+ */
+function runTestTask(t, lambdaInput, options = {}) {
+  return runTask({
+    lambdaArn: 'arn:aws:lambda:region:account-id:function:fake-function',
+    lambdaInput,
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    ...options
+  });
+}
+
+/**
+ * Create a zip archive
+ *
+ * @param {string} zipPath - the path to write the archive to
+ * @param {Function} addEntries - function that adds entries to the archiver instance
+ * @returns {Promise<undefined>} resolves when the archive has been written
+ */
+function createZip(zipPath, addEntries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.pipe(output);
+    addEntries(archive);
+    archive.finalize();
+  });
+}
+
 test.afterEach.always((t) => {
   nock.cleanAll();
   lambdaMock.reset();
+  sqsMock.reset();
   fs.removeSync(t.context.tempDir);
 });
 
@@ -242,7 +354,10 @@ test.serial('test activity failure', async(t) => {
     .on(SendTaskFailureCommand)
     .callsFake((msg) => {
       t.is(msg.error, 'Error');
-      t.is(msg.cause, input.error);
+      const cause = JSON.parse(msg.cause);
+      t.is(cause.errorType, 'Error');
+      t.is(cause.errorMessage, input.error);
+      t.true(cause.stackTrace.length > 0);
 
       return Promise.resolve();
     });
@@ -259,6 +374,174 @@ test.serial('test activity failure', async(t) => {
   sfnMock.restore();
 });
 
+/**
+ * Run the activity service for one task that fails, with SendTaskFailure mocked
+ *
+ * @param {Object} t - the ava test object
+ * @param {Object} input - the input to the lambda handler
+ * @param {Function} sendTaskFailure - fake for SendTaskFailureCommand
+ * @returns {Promise<Array<Object>>} the inputs of the SendTaskFailureCommand calls
+ */
+async function runFailingActivity(t, input, sendTaskFailure = () => Promise.resolve({})) {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: 'some token', input: JSON.stringify(input) })
+    .on(SendTaskFailureCommand)
+    .callsFake(sendTaskFailure);
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    runForever: false
+  });
+
+  const failures = sfnMock.commandCalls(SendTaskFailureCommand).map((call) => call.args[0].input);
+  sfnMock.restore();
+  return failures;
+}
+
+test.serial('activity failures describe thrown values that are not errors', async(t) => {
+  const [failure] = await runFailingActivity(t, { throw: 'a string' });
+
+  t.is(failure.error, 'Error');
+  t.deepEqual(JSON.parse(failure.cause), {
+    errorType: 'Error',
+    errorMessage: 'a string',
+    stackTrace: []
+  });
+});
+
+test.serial('activity failure causes are truncated to the Step Functions limit', async(t) => {
+  const [failure] = await runFailingActivity(t, { error: 'x'.repeat(40000) });
+
+  t.is(failure.cause.length, 32768);
+  const cause = JSON.parse(failure.cause);
+  t.true(cause.errorMessage.endsWith('...'));
+  t.deepEqual(cause.stackTrace, []);
+});
+
+test.serial('activity failures are resent without a cause if they are rejected', async(t) => {
+  const failures = await runFailingActivity(t, { error: 'it failed' }, (input) => (
+    input.cause ? Promise.reject(new Error('rejected')) : Promise.resolve({})
+  ));
+
+  t.is(failures.length, 2);
+  t.deepEqual(failures[1], { taskToken: 'some token', error: 'Error' });
+});
+
+test.serial('reporting task success is retried after throttling errors', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const throttled = new Error('Rate exceeded');
+  throttled.name = 'ThrottlingException';
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .resolves({})
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: 'some token', input: '{}' })
+    .on(SendTaskSuccessCommand)
+    .rejectsOnce(throttled)
+    .rejectsOnce(throttled)
+    .resolves({});
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    reportRetryDelay: 10,
+    runForever: false
+  });
+
+  t.is(sfnMock.commandCalls(SendTaskSuccessCommand).length, 3);
+  t.is(sfnMock.commandCalls(SendTaskFailureCommand).length, 0);
+  sfnMock.restore();
+});
+
+test.serial('tasks whose success cannot be reported are not reported as failed', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const rejected = new Error('Invalid output');
+  rejected.name = 'InvalidOutput';
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .resolves({})
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: 'some token', input: '{}' })
+    .on(SendTaskSuccessCommand)
+    .rejects(rejected);
+  const succeeded = metricValue('tasks_succeeded_total');
+  const failed = metricValue('tasks_failed_total');
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    runForever: false
+  });
+
+  t.is(sfnMock.commandCalls(SendTaskSuccessCommand).length, 1);
+  t.is(sfnMock.commandCalls(SendTaskFailureCommand).length, 0);
+  t.is(metricValue('tasks_succeeded_total'), succeeded);
+  t.is(metricValue('tasks_failed_total') - failed, 1);
+  sfnMock.restore();
+});
+
+test.serial('activity tasks with outputs too large for Step Functions fail', async(t) => {
+  const [failure] = await runFailingActivity(t, { data: 'x'.repeat(300000) });
+
+  t.is(failure.error, 'PayloadTooLarge');
+  t.regex(JSON.parse(failure.cause).errorMessage, /^Task output is 300011 bytes/);
+});
+
+test.serial('activity task outputs too large for Step Functions are offloaded', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const input = JSON.stringify({ data: 'x'.repeat(300000) });
+  const s3Mock = mockClient(S3);
+  s3Mock.onAnyCommand().rejects().on(PutObjectCommand).resolves({});
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: 'some token', input })
+    .on(SendTaskSuccessCommand)
+    .resolves({});
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    outputBucket: 'outputs',
+    outputPrefix: 'large/',
+    s3Endpoint: 'http://localhost:4566',
+    runForever: false
+  });
+
+  const [put] = s3Mock.commandCalls(PutObjectCommand);
+  t.is(put.args[0].input.Bucket, 'outputs');
+  t.regex(put.args[0].input.Key, /^large\/[0-9a-f-]{36}\.json$/);
+  t.is(put.args[0].input.Body, input);
+  const [success] = sfnMock.commandCalls(SendTaskSuccessCommand);
+  t.deepEqual(JSON.parse(success.args[0].input.output), {
+    replace: { Bucket: 'outputs', Key: put.args[0].input.Key, TargetPath: '$' }
+  });
+  s3Mock.restore();
+  sfnMock.restore();
+});
+
 test.serial('Retry zip download if connection-timeout received', async(t) => {
   nock.cleanAll();
 
@@ -287,3 +570,1617 @@ test.serial('Retry zip download if connection-timeout received', async(t) => {
   t.true(timeoutFailure.isDone());
   t.deepEqual(event, output);
 });
+
+test.serial('handler receives a Lambda-compatible context', async(t) => {
+  mockFunctionConfiguration(t, {
+    FunctionName: 'fake-function',
+    FunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:fake-function',
+    Version: '$LATEST',
+    MemorySize: 1024,
+    Timeout: 300,
+    Handler: 'fakeLambda.contextHandler'
+  });
+
+  const context = await runTestTask(t, {});
+
+  t.is(context.via, 'ECS');
+  t.is(context.functionName, 'fake-function');
+  t.is(context.functionVersion, '$LATEST');
+  t.is(context.invokedFunctionArn, 'arn:aws:lambda:us-east-1:123456789012:function:fake-function');
+  t.is(context.memoryLimitInMB, '1024');
+  t.is(context.logGroupName, '/aws/lambda/fake-function');
+  t.true(context.callbackWaitsForEmptyEventLoop);
+  t.regex(context.awsRequestId, /^[0-9a-f-]{36}$/);
+  t.true(context.remainingTimeInMillis > 299000);
+  t.true(context.remainingTimeInMillis <= 300000);
+});
+
+test.serial('callback-style handler waits for the event loop to empty by default', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.callbackHandler' });
+
+  const output = await runTestTask(t, { hi: 'bye' });
+  t.deepEqual(output, { hi: 'bye', pendingWorkDone: true });
+});
+
+test.serial('callback-style handler can skip waiting for the event loop to empty', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.callbackHandler' });
+
+  const output = await runTestTask(t, { callbackWaitsForEmptyEventLoop: false });
+  t.false(output.pendingWorkDone);
+});
+
+test.serial('callback-style handler errors fail the task', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.callbackHandler' });
+
+  await t.throwsAsync(runTestTask(t, { error: 'it failed' }), { message: 'it failed' });
+});
+
+test.serial('only callback-style handlers have their async resources tracked', async(t) => {
+  const { createHook } = asyncHooks;
+  let hooks = 0;
+  asyncHooks.createHook = (callbacks) => {
+    hooks += 1;
+    return createHook(callbacks);
+  };
+  try {
+    const output = await invokeHandler(async(event) => {
+      // eslint-disable-next-line no-await-in-loop
+      for (let i = 0; i < 100; i += 1) await Promise.resolve();
+      return event;
+    }, { hi: 'bye' }, {});
+    t.deepEqual(output, { hi: 'bye' });
+    t.is(hooks, 0);
+
+    await invokeHandler((event, context, callback) => callback(null, event), {}, {});
+    t.is(hooks, 1);
+  }
+  finally {
+    asyncHooks.createHook = createHook;
+  }
+});
+
+test.serial('callback-style handlers stop being tracked when their task is aborted', async(t) => {
+  const { createHook } = asyncHooks;
+  let disabled = false;
+  asyncHooks.createHook = (callbacks) => {
+    const hook = createHook(callbacks);
+    const disable = hook.disable.bind(hook);
+    hook.disable = () => {
+      disabled = true;
+      return disable();
+    };
+    return hook;
+  };
+  try {
+    const controller = new AbortController();
+    // the handler never calls back, like one that hangs until its task times out
+    invokeHandler((_event, _context, _callback) => {}, {}, { abortSignal: controller.signal });
+    t.false(disabled);
+    controller.abort();
+    t.true(disabled);
+  }
+  finally {
+    asyncHooks.createHook = createHook;
+  }
+});
+
+test.serial('synchronous handler return values are used as the output', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+
+  t.deepEqual(await runTestTask(t, { hi: 'bye' }), { hi: 'bye' });
+});
+
+test.serial('synchronous handler errors fail the task', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+
+  await t.throwsAsync(runTestTask(t, { error: 'it failed' }), { message: 'it failed' });
+});
+
+test.serial('tasks fail with States.Timeout after the taskTimeout option', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.hangingHandler', Timeout: 300 });
+
+  const err = await t.throwsAsync(runTestTask(t, {}, { taskTimeout: 1 }));
+  t.is(err.name, 'States.Timeout');
+  t.regex(err.message, /timed out after 1 seconds/);
+});
+
+test.serial('activity tasks fail with States.Timeout after the function timeout', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.hangingHandler', Timeout: 1 });
+  const token = 'some token';
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: token, input: '{}' })
+    .on(SendTaskFailureCommand)
+    .resolves();
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    runForever: false
+  });
+
+  const failures = sfnMock.commandCalls(SendTaskFailureCommand);
+  t.is(failures.length, 1);
+  t.is(failures[0].args[0].input.taskToken, token);
+  t.is(failures[0].args[0].input.error, 'States.Timeout');
+  sfnMock.restore();
+});
+
+test.serial('activity tasks are cancelled when a heartbeat reports TaskTimedOut', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.hangingHandler', Timeout: 300 });
+  const timedOut = new Error('Task Timed Out');
+  timedOut.name = 'TaskTimedOut';
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .resolves()
+    .on(GetActivityTaskCommand)
+    .resolves({ taskToken: 'some token', input: '{}' })
+    .on(SendTaskHeartbeatCommand)
+    .rejects(timedOut);
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    heartbeat: 50,
+    runForever: false
+  });
+
+  t.is(sfnMock.commandCalls(SendTaskHeartbeatCommand).length, 1);
+  t.is(sfnMock.commandCalls(SendTaskSuccessCommand).length, 0);
+  t.is(sfnMock.commandCalls(SendTaskFailureCommand).length, 0);
+  sfnMock.restore();
+});
+
+test.serial('activity service runs tasks concurrently', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.callbackHandler' });
+  const events = [];
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .callsFake(() => Promise.resolve({ taskToken: 'some token', input: '{}' }))
+    .on(SendTaskSuccessCommand)
+    .callsFake((msg) => {
+      events.push(`success ${msg.output}`);
+      return Promise.resolve();
+    });
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    concurrency: 2,
+    runForever: false
+  });
+
+  t.is(sfnMock.commandCalls(GetActivityTaskCommand).length, 2);
+  t.deepEqual(events, [
+    'success {"pendingWorkDone":true}',
+    'success {"pendingWorkDone":true}'
+  ]);
+  sfnMock.restore();
+});
+
+test.serial('activity concurrency must be a positive integer', async(t) => {
+  await t.throwsAsync(runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    concurrency: -1
+  }), { message: 'options.concurrency must be a positive integer' });
+});
+
+/**
+ * Run the SQS service for a single receive with the test's directories
+ *
+ * @param {Object} t - the ava test object
+ * @param {Object} [options] - additional options for `runServiceFromSQS`
+ * @returns {Promise<undefined>} resolves when the received messages are done
+ */
+function runTestSqsService(t, options = {}) {
+  return runServiceFromSQS({
+    lambdaArn: 'test',
+    sqsUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/queue',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    runForever: false,
+    ...options
+  });
+}
+
+test.serial('SQS service deletes only the messages whose tasks succeeded', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: ['first', 'second', 'third'].map((id) => ({
+        MessageId: id,
+        ReceiptHandle: `${id}-receipt`,
+        Body: JSON.stringify(id === 'second' ? { error: 'it failed' } : {})
+      }))
+    });
+
+  await runTestSqsService(t, { batchSize: 3, concurrency: 2, visibilityTimeout: 60 });
+
+  const [receive] = sqsMock.commandCalls(ReceiveMessageCommand);
+  t.is(receive.args[0].input.MaxNumberOfMessages, 3);
+  t.is(receive.args[0].input.VisibilityTimeout, 60);
+  const deleted = sqsMock.commandCalls(DeleteMessageCommand)
+    .map((call) => call.args[0].input.ReceiptHandle);
+  t.deepEqual(deleted.sort(), ['first-receipt', 'third-receipt']);
+});
+
+test.serial('SQS service extends message visibility while a task runs', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.slowHandler', Timeout: 300 });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [{ MessageId: 'slow', ReceiptHandle: 'receipt', Body: '{"delay":1500}' }]
+    });
+
+  await runTestSqsService(t, { visibilityTimeout: 2 });
+
+  const extensions = sqsMock.commandCalls(ChangeMessageVisibilityBatchCommand);
+  t.is(extensions.length, 1);
+  t.deepEqual(extensions[0].args[0].input.Entries, [
+    { Id: 'slow', ReceiptHandle: 'receipt', VisibilityTimeout: 2 }
+  ]);
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+});
+
+test.serial('SQS service forwards unparseable messages to the failure queue', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({ Messages: [{ MessageId: 'bad', ReceiptHandle: 'receipt', Body: 'not json' }] });
+
+  await runTestSqsService(t, { failureQueueUrl: 'https://example.com/failures' });
+
+  const [forwarded] = sqsMock.commandCalls(SendMessageCommand);
+  t.is(forwarded.args[0].input.QueueUrl, 'https://example.com/failures');
+  const body = JSON.parse(forwarded.args[0].input.MessageBody);
+  t.is(body.body, 'not json');
+  t.is(body.messageId, 'bad');
+  t.is(body.error.errorType, 'UnparseableMessage');
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+});
+
+test.serial('SQS service truncates messages too large for the failure queue', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  // 256 KiB of two-byte characters, which is not valid JSON
+  const tooLarge = '\u00e9'.repeat(128 * 1024);
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({ Messages: [{ MessageId: 'large', ReceiptHandle: 'receipt', Body: tooLarge }] });
+
+  await runTestSqsService(t, { failureQueueUrl: 'https://example.com/failures' });
+
+  const [forwarded] = sqsMock.commandCalls(SendMessageCommand);
+  const messageBody = forwarded.args[0].input.MessageBody;
+  t.true(Buffer.byteLength(messageBody) <= 256 * 1024);
+  const body = JSON.parse(messageBody);
+  t.true(body.bodyTruncated);
+  t.is(body.bodyBytes, 256 * 1024);
+  t.true(tooLarge.startsWith(body.body.replace(/\.\.\.$/, '')));
+  t.is(body.messageId, 'large');
+  t.is(body.error.errorType, 'UnparseableMessage');
+  t.deepEqual(body.error.stackTrace, []);
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+});
+
+test.serial('SQS service gives up on messages after maxReceiveCount receives', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [2, 3].map((count) => ({
+        MessageId: `received-${count}`,
+        ReceiptHandle: `receipt-${count}`,
+        Body: '{"error":"it failed"}',
+        Attributes: { ApproximateReceiveCount: String(count) }
+      }))
+    });
+
+  await runTestSqsService(t, { batchSize: 2, maxReceiveCount: 3 });
+
+  const deleted = sqsMock.commandCalls(DeleteMessageCommand)
+    .map((call) => call.args[0].input.ReceiptHandle);
+  t.deepEqual(deleted, ['receipt-3']);
+  t.is(sqsMock.commandCalls(SendMessageCommand).length, 0);
+});
+
+test.serial('SQS service reports task success for messages with a task token', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [{
+        MessageId: 'id',
+        ReceiptHandle: 'receipt',
+        Body: '{"Input":{"hi":"bye"},"Token":"a"}'
+      }]
+    });
+  const sfnMock = mockClient(SFN);
+  sfnMock.onAnyCommand().resolves({});
+
+  await runTestSqsService(t, { taskTokenPath: '$.Token', taskInputPath: '$.Input' });
+
+  const [success] = sfnMock.commandCalls(SendTaskSuccessCommand);
+  t.deepEqual(success.args[0].input, { taskToken: 'a', output: '{"hi":"bye"}' });
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+  sfnMock.restore();
+});
+
+test.serial('SQS service reports task failure for messages with a task token', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [{
+        MessageId: 'id',
+        ReceiptHandle: 'receipt',
+        Body: '{"error":"it failed","Token":"b"}'
+      }]
+    });
+  const sfnMock = mockClient(SFN);
+  sfnMock.onAnyCommand().resolves({});
+
+  await runTestSqsService(t, { taskTokenPath: 'Token' });
+
+  const [failure] = sfnMock.commandCalls(SendTaskFailureCommand);
+  t.is(failure.args[0].input.taskToken, 'b');
+  t.is(failure.args[0].input.error, 'Error');
+  t.is(JSON.parse(failure.args[0].input.cause).errorMessage, 'it failed');
+  t.is(sfnMock.commandCalls(SendTaskSuccessCommand).length, 0);
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+  sfnMock.restore();
+});
+
+test.serial('activity service fails running tasks after the shutdown grace period', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.hangingHandler', Timeout: 300 });
+  const shutdownManager = new ShutdownManager({ gracePeriod: 1 });
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .resolves({})
+    .on(GetActivityTaskCommand)
+    .callsFake(() => {
+      setTimeout(() => shutdownManager.shutdown('SIGTERM'), 100);
+      return Promise.resolve({ taskToken: 'some token', input: '{}' });
+    });
+
+  await runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    shutdownManager
+  });
+
+  t.is(sfnMock.commandCalls(GetActivityTaskCommand).length, 1);
+  const [failure] = sfnMock.commandCalls(SendTaskFailureCommand);
+  t.is(failure.args[0].input.error, 'WorkerShutdown');
+  t.is(shutdownManager.exitCode, 1);
+  sfnMock.restore();
+});
+
+test.serial('SQS service finishes running tasks before shutting down', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.slowHandler', Timeout: 300 });
+  const shutdownManager = new ShutdownManager();
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .callsFake(() => {
+      setTimeout(() => shutdownManager.shutdown('SIGTERM'), 50);
+      return Promise.resolve({
+        Messages: [{ MessageId: 'id', ReceiptHandle: 'receipt', Body: '{"delay":200}' }]
+      });
+    });
+
+  await runTestSqsService(t, { runForever: true, shutdownManager });
+
+  t.is(sqsMock.commandCalls(ReceiveMessageCommand).length, 1);
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+  t.is(shutdownManager.exitCode, 0);
+  shutdownManager.close();
+});
+
+test.serial('SQS service releases messages that have not started when it shuts down', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.slowHandler' });
+  const shutdownManager = new ShutdownManager();
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .callsFake(() => {
+      setTimeout(() => shutdownManager.shutdown('SIGTERM'), 50);
+      return Promise.resolve({
+        Messages: ['started', 'waiting'].map((id) => ({
+          MessageId: id,
+          ReceiptHandle: `${id}-receipt`,
+          Body: JSON.stringify({ delay: 200 })
+        }))
+      });
+    });
+
+  await runTestSqsService(t, { runForever: true, shutdownManager });
+  shutdownManager.close();
+
+  const deleted = sqsMock.commandCalls(DeleteMessageCommand)
+    .map((call) => call.args[0].input.ReceiptHandle);
+  const released = sqsMock.commandCalls(ChangeMessageVisibilityCommand)
+    .map((call) => call.args[0].input);
+  t.deepEqual(deleted, ['started-receipt']);
+  t.deepEqual(released, [{
+    QueueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/queue',
+    ReceiptHandle: 'waiting-receipt',
+    VisibilityTimeout: 0
+  }]);
+  t.is(shutdownManager.exitCode, 0);
+});
+
+test.serial('activity service stops after maxPollFailures failed polls in a row', async(t) => {
+  mockFunctionConfiguration(t);
+  const sfnMock = mockClient(SFN);
+  sfnMock.onAnyCommand().rejects(new Error('activity does not exist'));
+
+  await t.throwsAsync(runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    shutdownManager: new ShutdownManager(),
+    pollBackoffDelay: 1,
+    maxPollFailures: 3
+  }), { name: 'PollCircuitOpen' });
+
+  t.is(sfnMock.commandCalls(GetActivityTaskCommand).length, 3);
+  sfnMock.restore();
+});
+
+test.serial('concurrent activity polls that fail together count as one failure', async(t) => {
+  mockFunctionConfiguration(t);
+  const sfnMock = mockClient(SFN);
+  sfnMock.onAnyCommand().rejects(new Error('getaddrinfo EAI_AGAIN'));
+
+  await t.throwsAsync(runServiceFromActivity({
+    lambdaArn: 'test',
+    activityArn: 'test',
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory,
+    shutdownManager: new ShutdownManager(),
+    concurrency: 3,
+    pollBackoffDelay: 1,
+    maxPollFailures: 2
+  }), { name: 'PollCircuitOpen', message: /failed 2 times in a row/ });
+
+  t.is(sfnMock.commandCalls(GetActivityTaskCommand).length, 6);
+  sfnMock.restore();
+});
+
+test.serial('SQS service backs off after failed polls and recovers', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const shutdownManager = new ShutdownManager();
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .rejectsOnce(new Error('network down'))
+    .rejectsOnce(new Error('network down'))
+    .resolvesOnce({
+      Messages: [{ MessageId: 'id', ReceiptHandle: 'receipt', Body: '{}' }]
+    })
+    .callsFake(() => {
+      shutdownManager.shutdown('SIGTERM');
+      return Promise.resolve({});
+    });
+
+  await runTestSqsService(t, {
+    runForever: true,
+    shutdownManager,
+    pollBackoffDelay: 1,
+    maxPollFailures: 3
+  });
+
+  t.is(sqsMock.commandCalls(ReceiveMessageCommand).length, 4);
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 1);
+  shutdownManager.close();
+});
+
+test('poll backoff logs repeated errors once and summarises them', async(t) => {
+  const logged = [];
+  const logger = {
+    error: (message) => logged.push(message),
+    info: (message) => logged.push(message)
+  };
+  const backoff = new PollBackoff({ delay: 1, maxFailures: 0, logger });
+
+  await backoff.failed(new Error('throttled'));
+  await backoff.failed(new Error('throttled'));
+  await backoff.failed(new Error('throttled'));
+  await backoff.failed(new Error('access denied'));
+  backoff.succeeded();
+
+  t.false(backoff.tripped);
+  t.deepEqual(logged, [
+    'Polling failed, attempt 1',
+    'Polling failed, attempt 4',
+    'Polling recovered after 4 consecutive errors, suppressed repeated errors: 2 x "throttled"'
+  ]);
+});
+
+/**
+ * Capture the JSON log entries written while `fn` runs
+ *
+ * @param {Function} fn - the function to run
+ * @returns {Promise<Array<Object>>} the log entries
+ */
+async function captureLogs(fn) {
+  const entries = [];
+  const { log } = console;
+  // eslint-disable-next-line no-console
+  console.log = (line) => {
+    try {
+      entries.push(JSON.parse(line));
+    }
+    catch (err) {
+      log(line);
+    }
+  };
+  try {
+    await fn();
+  }
+  finally {
+    // eslint-disable-next-line no-console
+    console.log = log;
+  }
+  return entries;
+}
+
+test.serial('Logger writes only entries at or above its level', async(t) => {
+  const logger = new Logger({ level: 'warn' });
+  const entries = await captureLogs(() => {
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+  });
+
+  t.deepEqual(entries.map((entry) => entry.level), ['warn', 'error']);
+  t.throws(() => new Logger({ level: 'loud' }), { message: /Invalid log level loud/ });
+});
+
+test.serial('Logger follows the default level and ignores later LOG_LEVEL changes', async(t) => {
+  const logger = new Logger();
+  const child = logger.child({ messageId: 'id' });
+  Logger.setDefaultLevel('trace');
+  let entries;
+  try {
+    entries = await captureLogs(() => child.trace('trace'));
+  }
+  finally {
+    Logger.setDefaultLevel('info');
+  }
+  t.is(entries.length, 1);
+  t.is((await captureLogs(() => logger.debug('debug'))).length, 0);
+
+  process.env.LOG_LEVEL = 'debug';
+  try {
+    t.is((await captureLogs(() => logger.debug('debug'))).length, 0);
+  }
+  finally {
+    delete process.env.LOG_LEVEL;
+  }
+  t.throws(() => Logger.setDefaultLevel('loud'), { message: /Invalid log level loud/ });
+});
+
+test.serial('Logger entries include structured fields and child logger fields', async(t) => {
+  const logger = new Logger({ sender: 'test', fields: { service: 'ecs' } });
+  const child = logger.child({ messageId: 'id' });
+  const [entry] = await captureLogs(() => child.info('hello', { poll: 2, level: 'ignored' }));
+
+  t.like(entry, {
+    level: 'info',
+    message: 'hello',
+    sender: 'test',
+    service: 'ecs',
+    messageId: 'id',
+    poll: 2
+  });
+  t.deepEqual(logger.fields, { service: 'ecs' });
+});
+
+test.serial('Logger.error handles missing errors and values that are not errors', async(t) => {
+  const logger = new Logger();
+  const entries = await captureLogs(() => {
+    logger.error('no error');
+    logger.error('a string', 'went wrong');
+    logger.error('an object', { code: 42 });
+  });
+
+  t.deepEqual(entries.map((entry) => entry.message), [
+    'no error',
+    'a string went wrong',
+    'an object { code: 42 }'
+  ]);
+});
+
+test.serial('activity task log entries are tied to the task', async(t) => {
+  const input = { cumulus_meta: { execution_name: 'execution-1' } };
+  const entries = await captureLogs(() => runFailingActivity(
+    t,
+    { ...input, error: 'it failed' },
+    (failure) => (failure.cause ? Promise.reject(new Error('rejected')) : Promise.resolve({}))
+  ));
+
+  const entry = entries.find((e) => e.message.startsWith('task failure was rejected'));
+  t.like(entry, {
+    activity: 'test',
+    executionName: 'execution-1',
+    poll: 1
+  });
+  t.regex(entry.taskTokenHash, /^[0-9a-f]{16}$/);
+  t.false(JSON.stringify(entries).includes('some token'));
+});
+
+test.serial('handler output is captured as log entries', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.consoleHandler' });
+  const entries = await captureLogs(() => runTestTask(t, { id: 'a' }, {
+    captureHandlerOutput: true
+  }));
+
+  const output = entries.filter((entry) => entry.stream);
+  t.deepEqual(output.map(({ level, message, stream }) => ({ level, message, stream })), [
+    { level: 'info', message: 'starting a', stream: 'stdout' },
+    { level: 'error', message: 'first line of a\nsecond line of a', stream: 'stderr' },
+    { level: 'info', message: 'partial write of a, continued', stream: 'stdout' },
+    { level: 'error', message: 'stderr output', stream: 'stderr' }
+  ]);
+  output.forEach((entry) => t.is(entry.sender, 'cumulus-ecs-task/fake-function'));
+});
+
+test.serial('captured handler output is tied to the task that wrote it', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.consoleHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [
+        { MessageId: 'id-a', ReceiptHandle: 'receipt-a', Body: '{"id":"a","delay":50}' },
+        { MessageId: 'id-b', ReceiptHandle: 'receipt-b', Body: '{"id":"b","delay":10}' }
+      ]
+    });
+
+  const entries = await captureLogs(() => runTestSqsService(t, {
+    batchSize: 2,
+    concurrency: 2,
+    captureHandlerOutput: true
+  }));
+
+  const output = entries.filter((entry) => entry.stream);
+  t.is(output.length, 8);
+  output.forEach((entry) => t.true(['id-a', 'id-b'].includes(entry.messageId)));
+  output.filter((entry) => entry.message.includes(' a')).forEach((entry) => {
+    t.is(entry.messageId, 'id-a');
+  });
+  output.filter((entry) => entry.message.includes(' b')).forEach((entry) => {
+    t.is(entry.messageId, 'id-b');
+  });
+  t.is(sqsMock.commandCalls(DeleteMessageCommand).length, 2);
+});
+
+test.serial('output capture ends when its task is aborted', async(t) => {
+  const controller = new AbortController();
+  const entries = await captureLogs(async() => {
+    const { log } = console;
+    captureOutput(new Logger(), () => new Promise(() => {
+      // eslint-disable-next-line no-console
+      console.log('before the abort');
+      // eslint-disable-next-line no-console
+      setTimeout(() => console.log(JSON.stringify({ raw: 'after the abort' })), 20);
+    }), controller.signal);
+    controller.abort();
+    // eslint-disable-next-line no-console
+    t.is(console.log, log);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  });
+
+  t.deepEqual(entries.map(({ message, raw }) => message || raw), [
+    'before the abort',
+    'after the abort'
+  ]);
+  t.is(entries[0].stream, 'stdout');
+});
+
+test('metrics are rendered in the Prometheus text format', (t) => {
+  const registry = new Metrics({ prefix: 'test_' });
+  registry.counter('runs_total', 'Runs').inc(2);
+  const gauge = registry.gauge('running', 'Running');
+  gauge.inc(3);
+  gauge.dec();
+  const histogram = registry.histogram('duration_seconds', 'Durations', [1, 5]);
+  histogram.observe(0.5);
+  histogram.observe(3);
+  histogram.observe(10);
+
+  t.is(registry.render(), [
+    '# HELP test_runs_total Runs',
+    '# TYPE test_runs_total counter',
+    'test_runs_total 2',
+    '# HELP test_running Running',
+    '# TYPE test_running gauge',
+    'test_running 2',
+    '# HELP test_duration_seconds Durations',
+    '# TYPE test_duration_seconds histogram',
+    'test_duration_seconds_bucket{le="1"} 1',
+    'test_duration_seconds_bucket{le="5"} 2',
+    'test_duration_seconds_bucket{le="+Inf"} 3',
+    'test_duration_seconds_sum 13.5',
+    'test_duration_seconds_count 3',
+    ''
+  ].join('\n'));
+  t.throws(() => registry.counter('runs_total', 'Runs'), { message: /already registered/ });
+});
+
+test.serial('the worker counts its tasks and polls in its metrics', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  const before = {
+    started: metricValue('tasks_started_total'),
+    succeeded: metricValue('tasks_succeeded_total'),
+    failed: metricValue('tasks_failed_total'),
+    durations: metricValue('handler_duration_seconds_count'),
+    polls: metricValue('poll_duration_seconds_count'),
+    emptyPolls: metricValue('empty_polls_total'),
+    unparseable: metricValue('unparseable_messages_total')
+  };
+  const shutdownManager = new ShutdownManager();
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolvesOnce({
+      Messages: [
+        { MessageId: 'id-1', ReceiptHandle: 'receipt-1', Body: '{}' },
+        { MessageId: 'id-2', ReceiptHandle: 'receipt-2', Body: '{"error":"it failed"}' },
+        { MessageId: 'id-3', ReceiptHandle: 'receipt-3', Body: 'not json' }
+      ]
+    })
+    .callsFake(() => {
+      shutdownManager.shutdown('SIGTERM');
+      return Promise.resolve({});
+    });
+
+  await runTestSqsService(t, { batchSize: 3, runForever: true, shutdownManager });
+  shutdownManager.close();
+
+  t.is(metricValue('tasks_started_total') - before.started, 2);
+  t.is(metricValue('tasks_succeeded_total') - before.succeeded, 1);
+  t.is(metricValue('tasks_failed_total') - before.failed, 1);
+  t.is(metricValue('handler_duration_seconds_count') - before.durations, 2);
+  t.is(metricValue('tasks_in_flight'), 0);
+  t.is(metricValue('poll_duration_seconds_count') - before.polls, 2);
+  t.is(metricValue('empty_polls_total') - before.emptyPolls, 1);
+  t.is(metricValue('unparseable_messages_total') - before.unparseable, 1);
+});
+
+test('worker status is ready once installed and unhealthy without recent polls', (t) => {
+  const status = new WorkerStatus();
+  t.like(status.check(), { healthy: true, ready: false });
+
+  status.installed();
+  t.like(status.check(), { healthy: true, ready: true, reasons: [] });
+  t.like(status.check({ stopping: true }), { healthy: true, ready: false });
+
+  status.lastPollAt = Date.now() - 11000;
+  t.like(status.check({ pollWindow: 10 }), {
+    healthy: false,
+    ready: false,
+    reasons: ['no poll for work has completed in the last 10 seconds']
+  });
+
+  status.taskStarted();
+  t.like(status.check({ pollWindow: 10 }), { healthy: true, runningTasks: 1 });
+  status.taskFinished();
+  t.like(status.check({ pollWindow: 10 }), { healthy: true, ready: true, runningTasks: 0 });
+
+  status.lastPollAt = Date.now() - 11000;
+  status.polled();
+  t.like(status.check({ pollWindow: 10 }), { healthy: true, ready: true });
+});
+
+test.serial('the worker status records installs and polls', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock.onAnyCommand().resolves({});
+  const start = Date.now();
+
+  await runTestSqsService(t);
+
+  t.true(workerStatus.installedAt >= start);
+  t.true(workerStatus.lastPollAt >= workerStatus.installedAt);
+  t.like(workerStatus.check(), { healthy: true, ready: true, runningTasks: 0 });
+});
+
+test.serial('Logger.emf writes metrics in CloudWatch Embedded Metric Format', async(t) => {
+  const logger = new Logger({ sender: 'test', level: 'error' });
+  const [entry] = await captureLogs(() => logger.emf('Task metrics', {
+    namespace: 'Test',
+    dimensions: { FunctionName: 'fn' },
+    metrics: [{ name: 'Duration', value: 12, unit: 'Milliseconds' }, { name: 'Things', value: 3 }],
+    properties: { Outcome: 'Succeeded' }
+  }));
+
+  t.like(entry, {
+    level: 'info',
+    message: 'Task metrics',
+    FunctionName: 'fn',
+    Outcome: 'Succeeded',
+    Duration: 12,
+    Things: 3
+  });
+  t.is(typeof entry._aws.Timestamp, 'number');
+  t.deepEqual(entry._aws.CloudWatchMetrics, [{
+    Namespace: 'Test',
+    Dimensions: [['FunctionName']],
+    Metrics: [{ Name: 'Duration', Unit: 'Milliseconds' }, { Name: 'Things', Unit: 'None' }]
+  }]);
+});
+
+test.serial('the SQS service logs task metrics in Embedded Metric Format', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({
+      Messages: [
+        {
+          MessageId: 'id-1',
+          ReceiptHandle: 'receipt-1',
+          Body: '{}',
+          Attributes: { ApproximateReceiveCount: '1' }
+        },
+        {
+          MessageId: 'id-2',
+          ReceiptHandle: 'receipt-2',
+          Body: '{"error":"it failed"}',
+          Attributes: { ApproximateReceiveCount: '3' }
+        }
+      ]
+    });
+
+  const entries = await captureLogs(() => runTestSqsService(t, {
+    batchSize: 2,
+    emitEmf: true,
+    emfNamespace: 'Test'
+  }));
+  const metricEntries = entries.filter((entry) => entry._aws);
+
+  t.is(metricEntries.length, 2);
+  const [succeeded, failed] = ['id-1', 'id-2']
+    .map((id) => metricEntries.find((entry) => entry.messageId === id));
+  t.like(succeeded, {
+    FunctionName: 'test',
+    Queue: 'queue',
+    Outcome: 'Succeeded',
+    Succeeded: 1,
+    Failed: 0,
+    Retries: 0,
+    ReportRetries: 0
+  });
+  t.like(failed, {
+    Outcome: 'Failed',
+    Succeeded: 0,
+    Failed: 1,
+    Retries: 2
+  });
+  t.true(succeeded.Duration >= 0);
+  t.like(succeeded._aws.CloudWatchMetrics[0], {
+    Namespace: 'Test',
+    Dimensions: [['FunctionName', 'Queue']]
+  });
+});
+
+test.serial('task metrics are not logged unless emitEmf is set', async(t) => {
+  mockFunctionConfiguration(t, { Handler: 'fakeLambda.syncHandler' });
+  sqsMock
+    .onAnyCommand()
+    .resolves({})
+    .on(ReceiveMessageCommand)
+    .resolves({ Messages: [{ MessageId: 'id-1', ReceiptHandle: 'receipt-1', Body: '{}' }] });
+
+  const entries = await captureLogs(() => runTestSqsService(t));
+
+  t.false(entries.some((entry) => entry._aws));
+});
+
+test.serial('Lambda environment and reserved variables are applied to the task', async(t) => {
+  mockFunctionConfiguration(t, {
+    FunctionName: 'fake-function',
+    Version: '3',
+    MemorySize: 512,
+    Environment: {
+      Variables: { TEST_LAMBDA_BUCKET: 'lambda-bucket' }
+    }
+  });
+
+  try {
+    await runTestTask(t, {});
+    t.is(process.env.TEST_LAMBDA_BUCKET, 'lambda-bucket');
+    t.is(process.env.AWS_LAMBDA_FUNCTION_NAME, 'fake-function');
+    t.is(process.env.AWS_LAMBDA_FUNCTION_VERSION, '3');
+    t.is(process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE, '512');
+    t.is(process.env.LAMBDA_TASK_ROOT, t.context.taskDirectory);
+    t.is(process.env._HANDLER, 'fakeLambda.handler');
+  }
+  finally {
+    delete process.env.TEST_LAMBDA_BUCKET;
+  }
+});
+
+test.serial('container environment variables win by default', async(t) => {
+  mockFunctionConfiguration(t, {
+    Environment: {
+      Variables: { TEST_LAMBDA_BUCKET: 'lambda-bucket' }
+    }
+  });
+  process.env.TEST_LAMBDA_BUCKET = 'container-bucket';
+
+  try {
+    await runTestTask(t, {});
+    t.is(process.env.TEST_LAMBDA_BUCKET, 'container-bucket');
+  }
+  finally {
+    delete process.env.TEST_LAMBDA_BUCKET;
+  }
+});
+
+test.serial('Lambda environment variables win if environmentPrecedence is lambda', async(t) => {
+  mockFunctionConfiguration(t, {
+    Environment: {
+      Variables: { TEST_LAMBDA_BUCKET: 'lambda-bucket' }
+    }
+  });
+  process.env.TEST_LAMBDA_BUCKET = 'container-bucket';
+
+  try {
+    await runTestTask(t, {}, { environmentPrecedence: 'lambda' });
+    t.is(process.env.TEST_LAMBDA_BUCKET, 'lambda-bucket');
+  }
+  finally {
+    delete process.env.TEST_LAMBDA_BUCKET;
+  }
+});
+
+test.serial('task runs from a local zip file and layers without the Lambda API', async(t) => {
+  const output = await runTask({
+    lambdaZip: t.context.lambdaZip,
+    handler: 'fakeLambda.handler',
+    layers: [t.context.layerZip],
+    lambdaInput: { hi: 'bye' },
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory
+  });
+
+  t.deepEqual(output, { hi: 'bye' });
+  t.true(fs.existsSync(`${t.context.layerDirectory}/fakeLayer.txt`));
+  t.is(process.env.AWS_LAMBDA_FUNCTION_NAME, 'remoteLambda');
+  t.is(lambdaMock.calls().length, 0);
+});
+
+test.serial('task runs from a local directory without the Lambda API', async(t) => {
+  const lambdaDir = path.join(t.context.tempDir, 'localLambda');
+  fs.mkdirpSync(lambdaDir);
+  fs.copySync(path.join(__dirname, 'data/fakeLambda.js'), path.join(lambdaDir, 'fakeLambda.js'));
+
+  const output = await runTask({
+    lambdaDir,
+    handler: 'fakeLambda.syncHandler',
+    lambdaInput: { hi: 'bye' },
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory
+  });
+
+  t.deepEqual(output, { hi: 'bye' });
+  t.true(fs.existsSync(path.join(t.context.taskDirectory, 'fakeLambda.js')));
+  t.is(lambdaMock.calls().length, 0);
+});
+
+test.serial('a local lambda function has no timeout unless taskTimeout is set', async(t) => {
+  const lambdaDir = path.join(t.context.tempDir, 'localLambda');
+  fs.mkdirpSync(lambdaDir);
+  fs.copySync(path.join(__dirname, 'data/fakeLambda.js'), path.join(lambdaDir, 'fakeLambda.js'));
+  const options = {
+    lambdaDir,
+    handler: 'fakeLambda.contextHandler',
+    lambdaInput: {},
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory
+  };
+
+  const context = await runTask(options);
+  t.is(context.remainingTimeInMillis, (2 ** 31) - 1);
+
+  const limited = await runTask({ ...options, taskTimeout: 60 });
+  t.true(limited.remainingTimeInMillis <= 60000);
+
+  const thirtyDays = await runTask({ ...options, taskTimeout: 30 * 24 * 60 * 60 });
+  t.is(thirtyDays.remainingTimeInMillis, (2 ** 31) - 1);
+});
+
+test.serial('symlinks in code copied from a directory keep their relative targets', async(t) => {
+  const lambdaDir = path.join(t.context.tempDir, 'localLambda');
+  fs.mkdirpSync(path.join(lambdaDir, 'bin'));
+  fs.copySync(path.join(__dirname, 'data/fakeLambda.js'), path.join(lambdaDir, 'fakeLambda.js'));
+  fs.symlinkSync('../fakeLambda.js', path.join(lambdaDir, 'bin/fakeLambda.js'));
+
+  await runTask({
+    lambdaDir,
+    handler: 'fakeLambda.handler',
+    lambdaInput: {},
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory
+  });
+
+  const link = path.join(t.context.taskDirectory, 'bin/fakeLambda.js');
+  t.is(fs.readlinkSync(link), '../fakeLambda.js');
+});
+
+test.serial('a local lambda function requires a handler', async(t) => {
+  await t.throwsAsync(runTask({
+    lambdaZip: t.context.lambdaZip,
+    lambdaInput: {},
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory
+  }), { message: /options.handler string is required/ });
+});
+
+test.serial('function and layer code is reused from the code cache', async(t) => {
+  const cacheDirectory = path.join(t.context.tempDir, 'cache');
+  lambdaMock
+    .on(GetLayerVersionByArnCommand)
+    .resolves({
+      LayerArn: 'notARealArn',
+      LayerVersionArn: 'arn:aws:lambda:us-east-1:123456789012:layer:fake-layer:1',
+      Content: {
+        Location: `https://example.com${t.context.getLayerUrlPath}`,
+        CodeSha256: sha256File(t.context.layerZip)
+      }
+    });
+  mockFunctionConfiguration(t, { CodeSha256: sha256File(t.context.lambdaZip) });
+
+  await runTestTask(t, {}, { cacheDirectory });
+  t.true(nock.isDone());
+
+  const taskDirectory = path.join(t.context.tempDir, 'cachedTask');
+  const layersDirectory = path.join(t.context.tempDir, 'cachedLayers');
+  const output = await runTestTask(t, { hi: 'bye' }, {
+    cacheDirectory, taskDirectory, layersDirectory
+  });
+
+  t.deepEqual(output, { hi: 'bye' });
+  t.true(fs.existsSync(path.join(taskDirectory, 'fakeLambda.js')));
+  t.true(fs.existsSync(path.join(layersDirectory, 'fakeLayer.txt')));
+});
+
+test('code cache evicts stale and least recently used entries', async(t) => {
+  const cacheDirectory = path.join(os.tmpdir(), 'cumulus-ecs-task', `cache-${Date.now()}`);
+  const codeCache = new CodeCache({ directory: cacheDirectory, maxSize: 1, maxAge: 1 });
+  // eslint-disable-next-line require-jsdoc
+  const populate = (size) => (dir) => fs.writeFileSync(path.join(dir, 'code'), Buffer.alloc(size));
+
+  try {
+    const stale = await codeCache.add('function', 'stale', populate(10));
+    const old = await codeCache.add('function', 'old', populate(600 * 1024));
+    const recent = await codeCache.add('layer', 'arn:recent:1', populate(600 * 1024));
+    const kept = await codeCache.add('function', 'kept', populate(10));
+
+    const twoDaysAgo = new Date(Date.now() - (2 * 24 * 60 * 60 * 1000));
+    const oneHourAgo = new Date(Date.now() - (60 * 60 * 1000));
+    fs.utimesSync(stale, twoDaysAgo, twoDaysAgo);
+    fs.utimesSync(kept, twoDaysAgo, twoDaysAgo);
+    fs.utimesSync(old, oneHourAgo, oneHourAgo);
+
+    t.deepEqual(codeCache.evict([kept]), [stale, old]);
+    t.is(codeCache.get('layer', 'arn:recent:1'), recent);
+    t.is(codeCache.get('function', 'kept'), kept);
+    t.is(codeCache.get('function', 'old'), undefined);
+  }
+  finally {
+    fs.removeSync(cacheDirectory);
+  }
+});
+
+test('code cache populates entries in unique temporary directories', async(t) => {
+  const cacheDirectory = path.join(os.tmpdir(), 'cumulus-ecs-task', `cache-${Date.now()}`);
+  const codeCache = new CodeCache({ directory: cacheDirectory });
+  const tempDirs = [];
+  let finishFirst;
+  const firstStarted = new Promise((resolve) => {
+    finishFirst = codeCache.add('function', 'shared', async(dir) => {
+      tempDirs.push(dir);
+      fs.writeFileSync(path.join(dir, 'code'), 'first');
+      resolve();
+      await new Promise((wait) => setTimeout(wait, 50));
+    });
+  });
+
+  try {
+    await firstStarted;
+    const leftover = `${codeCache.entryPath('layer', 'arn:crashed:1')}.tmp-abc123`;
+    fs.mkdirpSync(leftover);
+
+    const entry = await codeCache.add('function', 'shared', (dir) => {
+      tempDirs.push(dir);
+      fs.writeFileSync(path.join(dir, 'code'), 'second');
+    });
+    t.is(await finishFirst, entry);
+
+    t.not(tempDirs[0], tempDirs[1]);
+    t.is(fs.readFileSync(path.join(entry, 'code'), 'utf8'), 'second');
+    t.false(tempDirs.some((dir) => fs.existsSync(dir)));
+
+    codeCache.evict();
+    t.false(fs.existsSync(leftover));
+    t.true(fs.existsSync(entry));
+  }
+  finally {
+    fs.removeSync(cacheDirectory);
+  }
+});
+
+test.serial('unsuccessful downloads fail with the HTTP status', async(t) => {
+  nock.cleanAll();
+  nock('https://example.com')
+    .get(t.context.getLayerUrlPath)
+    .reply(200, () => fs.createReadStream(t.context.layerZip));
+  nock('https://example.com')
+    .get(t.context.lambdaZipUrlPath)
+    .reply(403, 'Request has expired');
+
+  await t.throwsAsync(runTestTask(t, {}), { message: /received HTTP 403/ });
+});
+
+test.serial('downloads are retried if the SHA-256 does not match CodeSha256', async(t) => {
+  mockFunctionConfiguration(t, { CodeSha256: sha256File(t.context.lambdaZip) });
+  nock.cleanAll();
+  nock('https://example.com')
+    .get(t.context.getLayerUrlPath)
+    .reply(200, () => fs.createReadStream(t.context.layerZip));
+  const corruptDownload = nock('https://example.com')
+    .get(t.context.lambdaZipUrlPath)
+    .reply(200, 'corrupt');
+  nock('https://example.com')
+    .get(t.context.lambdaZipUrlPath)
+    .reply(200, () => fs.createReadStream(t.context.lambdaZip));
+
+  const output = await runTestTask(t, { hi: 'bye' });
+
+  t.true(corruptDownload.isDone());
+  t.deepEqual(output, { hi: 'bye' });
+});
+
+test.serial('downloads fail if the SHA-256 never matches CodeSha256', async(t) => {
+  mockFunctionConfiguration(t, { CodeSha256: sha256File(t.context.lambdaZip) });
+  nock.cleanAll();
+  nock('https://example.com')
+    .get(t.context.getLayerUrlPath)
+    .reply(200, () => fs.createReadStream(t.context.layerZip));
+  nock('https://example.com')
+    .get(t.context.lambdaZipUrlPath)
+    .times(3)
+    .reply(200, 'corrupt');
+
+  await t.throwsAsync(runTestTask(t, {}), { message: /failed verification after 3 attempts/ });
+});
+
+test.serial('activity service reloads a redeployed lambda function between tasks', async(t) => {
+  const redeployedZip = path.join(t.context.tempDir, 'redeployedLambda.zip');
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(redeployedZip);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.pipe(output);
+    archive.append('exports.handler = async () => ({ redeployed: true });', {
+      name: 'fakeLambda.js'
+    });
+    archive.finalize();
+  });
+  nock('https://example.com')
+    .get('/redeployedLambda')
+    .reply(200, () => fs.createReadStream(redeployedZip));
+  nock('https://example.com')
+    .get(t.context.getLayerUrlPath)
+    .reply(200, () => fs.createReadStream(t.context.layerZip));
+
+  const configuration = {
+    Handler: 'fakeLambda.handler',
+    Layers: [{ Arn: 'notARealArn' }],
+    Version: '$LATEST'
+  };
+  const redeployedConfiguration = {
+    ...configuration,
+    CodeSha256: sha256File(redeployedZip)
+  };
+  lambdaMock
+    .on(GetFunctionCommand)
+    .resolvesOnce({
+      Code: { Location: `https://example.com${t.context.lambdaZipUrlPath}` },
+      Configuration: { ...configuration, CodeSha256: sha256File(t.context.lambdaZip) }
+    })
+    .resolves({
+      Code: { Location: 'https://example.com/redeployedLambda' },
+      Configuration: redeployedConfiguration
+    })
+    .on(GetFunctionConfigurationCommand)
+    .resolves(redeployedConfiguration);
+
+  // a file only the installed version has, the runtime's modules, and a file
+  // in the layers directory that no layer installed
+  fs.writeFileSync(path.join(t.context.taskDirectory, 'removed.js'), '');
+  fs.mkdirpSync(path.join(t.context.taskDirectory, 'node_modules'));
+  fs.writeFileSync(path.join(t.context.taskDirectory, 'node_modules/runtime.js'), '');
+  fs.writeFileSync(path.join(t.context.layerDirectory, 'image.txt'), '');
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({
+      taskToken: 'some token',
+      input: JSON.stringify({ hi: 'bye' })
+    })
+    .on(SendTaskSuccessCommand)
+    .resolves({});
+
+  try {
+    await runServiceFromActivity({
+      lambdaArn: 'test',
+      activityArn: 'test',
+      taskDirectory: t.context.taskDirectory,
+      workDirectory: t.context.workDirectory,
+      layersDirectory: t.context.layerDirectory,
+      reloadInterval: 1,
+      runForever: false
+    });
+
+    const [successCall] = sfnMock.commandCalls(SendTaskSuccessCommand);
+    t.is(successCall.args[0].input.output, JSON.stringify({ redeployed: true }));
+    t.false(fs.existsSync(path.join(t.context.taskDirectory, 'removed.js')));
+    t.true(fs.existsSync(path.join(t.context.taskDirectory, 'node_modules/runtime.js')));
+    t.true(fs.existsSync(path.join(t.context.layerDirectory, 'fakeLayer.txt')));
+    t.true(fs.existsSync(path.join(t.context.layerDirectory, 'image.txt')));
+    const staging = fs.readdirSync(t.context.workDirectory)
+      .filter((name) => name.startsWith('reload-'));
+    t.deepEqual(staging, []);
+  }
+  finally {
+    sfnMock.restore();
+  }
+});
+
+test.serial('a failed reload keeps the installed code untouched', async(t) => {
+  nock('https://example.com')
+    .get('/redeployedLambda')
+    .reply(403, 'Request has expired');
+  const configuration = {
+    Handler: 'fakeLambda.handler',
+    Layers: [{ Arn: 'notARealArn' }],
+    Version: '$LATEST'
+  };
+  lambdaMock
+    .on(GetFunctionCommand)
+    .resolvesOnce({
+      Code: { Location: `https://example.com${t.context.lambdaZipUrlPath}` },
+      Configuration: { ...configuration, CodeSha256: sha256File(t.context.lambdaZip) }
+    })
+    .resolves({
+      Code: { Location: 'https://example.com/redeployedLambda' },
+      Configuration: { ...configuration, CodeSha256: 'redeployed' }
+    })
+    .on(GetFunctionConfigurationCommand)
+    .resolves({ ...configuration, CodeSha256: 'redeployed' });
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({
+      taskToken: 'some token',
+      input: JSON.stringify({ hi: 'bye' })
+    })
+    .on(SendTaskSuccessCommand)
+    .resolves({});
+
+  try {
+    await runServiceFromActivity({
+      lambdaArn: 'test',
+      activityArn: 'test',
+      taskDirectory: t.context.taskDirectory,
+      workDirectory: t.context.workDirectory,
+      layersDirectory: t.context.layerDirectory,
+      reloadInterval: 1,
+      runForever: false
+    });
+
+    const [successCall] = sfnMock.commandCalls(SendTaskSuccessCommand);
+    t.is(successCall.args[0].input.output, JSON.stringify({ hi: 'bye' }));
+    t.true(fs.existsSync(path.join(t.context.taskDirectory, 'fakeLambda.js')));
+    t.true(fs.existsSync(path.join(t.context.layerDirectory, 'fakeLayer.txt')));
+  }
+  finally {
+    sfnMock.restore();
+  }
+});
+
+test.serial('a reload that fails to replace the layers restores the installed code', async(t) => {
+  const redeployedZip = path.join(t.context.tempDir, 'redeployedLambda.zip');
+  const redeployedLayerZip = path.join(t.context.tempDir, 'redeployedLayer.zip');
+  await createZip(redeployedZip, (archive) => {
+    archive.append('exports.handler = async () => ({ redeployed: true });', {
+      name: 'fakeLambda.js'
+    });
+  });
+  // the redeployed layer needs a directory where the image has a file
+  await createZip(redeployedLayerZip, (archive) => {
+    archive.append('layer', { name: 'blocker/layer.txt' });
+  });
+  fs.writeFileSync(path.join(t.context.layerDirectory, 'blocker'), 'image');
+  nock('https://example.com')
+    .get('/redeployedLambda')
+    .reply(200, () => fs.createReadStream(redeployedZip));
+  nock('https://example.com')
+    .get(t.context.getLayerUrlPath)
+    .reply(200, () => fs.createReadStream(redeployedLayerZip));
+
+  const configuration = {
+    Handler: 'fakeLambda.handler',
+    Layers: [{ Arn: 'notARealArn' }],
+    Version: '$LATEST'
+  };
+  const redeployedConfiguration = { ...configuration, CodeSha256: sha256File(redeployedZip) };
+  lambdaMock
+    .on(GetFunctionCommand)
+    .resolvesOnce({
+      Code: { Location: `https://example.com${t.context.lambdaZipUrlPath}` },
+      Configuration: { ...configuration, CodeSha256: sha256File(t.context.lambdaZip) }
+    })
+    .resolves({
+      Code: { Location: 'https://example.com/redeployedLambda' },
+      Configuration: redeployedConfiguration
+    })
+    .on(GetFunctionConfigurationCommand)
+    .resolves(redeployedConfiguration);
+
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .onAnyCommand()
+    .rejects()
+    .on(GetActivityTaskCommand)
+    .resolves({
+      taskToken: 'some token',
+      input: JSON.stringify({ hi: 'bye' })
+    })
+    .on(SendTaskSuccessCommand)
+    .resolves({});
+
+  try {
+    await runServiceFromActivity({
+      lambdaArn: 'test',
+      activityArn: 'test',
+      taskDirectory: t.context.taskDirectory,
+      workDirectory: t.context.workDirectory,
+      layersDirectory: t.context.layerDirectory,
+      reloadInterval: 1,
+      runForever: false
+    });
+
+    const [successCall] = sfnMock.commandCalls(SendTaskSuccessCommand);
+    t.is(successCall.args[0].input.output, JSON.stringify({ hi: 'bye' }));
+    t.false(fs.readFileSync(path.join(t.context.taskDirectory, 'fakeLambda.js'), 'utf8')
+      .includes('redeployed'));
+    t.true(fs.existsSync(path.join(t.context.layerDirectory, 'fakeLayer.txt')));
+    t.is(fs.readFileSync(path.join(t.context.layerDirectory, 'blocker'), 'utf8'), 'image');
+  }
+  finally {
+    sfnMock.restore();
+  }
+});
+
+test.serial('activity slots do not poll while another slot is reloading', async(t) => {
+  const configuration = { Version: '$LATEST', CodeSha256: sha256File(t.context.lambdaZip) };
+  mockFunctionConfiguration(t, configuration);
+  const events = [];
+  lambdaMock
+    .on(GetFunctionConfigurationCommand)
+    .callsFake(async() => {
+      events.push('reload start');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      events.push('reload end');
+      return {
+        Handler: t.context.expectedOutput.join('.'),
+        Layers: ['notARealArn'],
+        ...configuration
+      };
+    });
+
+  const shutdownManager = new ShutdownManager();
+  const sfnMock = mockClient(SFN);
+  sfnMock
+    .on(GetActivityTaskCommand)
+    .callsFake(async() => {
+      events.push('poll');
+      if (events.filter((event) => event === 'poll').length >= 6) {
+        shutdownManager.shutdown('SIGTERM');
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return {};
+    });
+
+  try {
+    await runServiceFromActivity({
+      lambdaArn: 'test',
+      activityArn: 'test',
+      taskDirectory: t.context.taskDirectory,
+      workDirectory: t.context.workDirectory,
+      layersDirectory: t.context.layerDirectory,
+      concurrency: 2,
+      reloadInterval: 1,
+      shutdownManager
+    });
+  }
+  finally {
+    sfnMock.restore();
+    shutdownManager.close();
+  }
+
+  t.true(events.includes('reload start'));
+  let reloadPending = false;
+  events.forEach((event) => {
+    if (event === 'reload start') reloadPending = true;
+    if (event === 'reload end') reloadPending = false;
+    if (event === 'poll') t.false(reloadPending, events.join(', '));
+  });
+});
+
+test.serial('archives are extracted with their file modes and symlinks', async(t) => {
+  const zipPath = path.join(t.context.tempDir, 'modes.zip');
+  const destination = path.join(t.context.tempDir, 'modes');
+  await createZip(zipPath, (archive) => {
+    archive.append('#!/bin/sh', { name: 'bin/run.sh', mode: 0o755 });
+    archive.append('data', { name: 'data.txt', mode: 0o644 });
+    archive.symlink('bin/data.txt', '../data.txt');
+  });
+
+  await extractZip(zipPath, destination);
+
+  t.is(fs.statSync(path.join(destination, 'bin/run.sh')).mode.toString(8).slice(-3), '755');
+  t.is(fs.statSync(path.join(destination, 'data.txt')).mode.toString(8).slice(-3), '644');
+  t.is(fs.readlinkSync(path.join(destination, 'bin/data.txt')), '../data.txt');
+  t.is(fs.readFileSync(path.join(destination, 'bin/data.txt'), 'utf8'), 'data');
+});
+
+test.serial('archive entries that escape the destination are rejected', async(t) => {
+  const zipPath = path.join(t.context.tempDir, 'slip.zip');
+  await createZip(zipPath, (archive) => {
+    archive.append('evil', { name: 'AA/evil.txt' });
+  });
+  // archiver sanitizes entry names, so write the ../ into the archive directly
+  fs.writeFileSync(zipPath, Buffer.from(
+    fs.readFileSync(zipPath).toString('latin1').replace(/AA\/evil/g, '../evil'),
+    'latin1'
+  ));
+
+  const error = await t.throwsAsync(extractZip(zipPath, path.join(t.context.tempDir, 'slip')));
+  t.true(error.message.includes(zipPath));
+  t.true(error.message.includes('../evil.txt'));
+  t.false(fs.existsSync(path.join(t.context.tempDir, 'evil.txt')));
+});
+
+test.serial('archive symlinks that escape the destination are rejected', async(t) => {
+  const zipPath = path.join(t.context.tempDir, 'symlink.zip');
+  await createZip(zipPath, (archive) => {
+    archive.symlink('passwd', '../../etc/passwd');
+  });
+
+  const destination = path.join(t.context.tempDir, 'symlink');
+  await t.throwsAsync(extractZip(zipPath, destination), {
+    message: `Failed to extract entry passwd from archive ${zipPath}: `
+      + `../../etc/passwd resolves outside of ${destination}`
+  });
+});
+
+test.serial('archive entries that escape through earlier symlinks are rejected', async(t) => {
+  const zipPath = path.join(t.context.tempDir, 'chained.zip');
+  await createZip(zipPath, (archive) => {
+    archive.symlink('sub/link', '..');
+    archive.symlink('esc', 'sub/link/..');
+    archive.append('pwned', { name: 'esc/pwned.txt' });
+  });
+
+  const destination = path.join(t.context.tempDir, 'chained', 'destination');
+  await t.throwsAsync(extractZip(zipPath, destination), {
+    message: `Failed to extract entry esc from archive ${zipPath}: `
+      + `sub/link/.. resolves outside of ${destination}`
+  });
+  t.false(fs.existsSync(path.join(t.context.tempDir, 'chained', 'pwned.txt')));
+  t.is(fs.readlinkSync(path.join(destination, 'sub/link')), '..');
+});
+
+test.serial('layers are extracted in order with later layers overriding earlier ones', async(t) => {
+  const firstLayerZip = path.join(t.context.tempDir, 'firstLayer.zip');
+  const secondLayerZip = path.join(t.context.tempDir, 'secondLayer.zip');
+  await createZip(firstLayerZip, (archive) => {
+    archive.append('first', { name: 'shared.txt' });
+    archive.append('first', { name: 'first.txt' });
+  });
+  await createZip(secondLayerZip, (archive) => {
+    archive.append('second', { name: 'shared.txt' });
+  });
+
+  await runTask({
+    lambdaZip: t.context.lambdaZip,
+    handler: 'fakeLambda.handler',
+    layers: [firstLayerZip, secondLayerZip],
+    lambdaInput: {},
+    taskDirectory: t.context.taskDirectory,
+    workDirectory: t.context.workDirectory,
+    layersDirectory: t.context.layerDirectory
+  });
+
+  t.is(fs.readFileSync(path.join(t.context.layerDirectory, 'shared.txt'), 'utf8'), 'second');
+  t.deepEqual(fs.readJsonSync(path.join(t.context.workDirectory, 'layer-manifest.json')), {
+    layers: [firstLayerZip, secondLayerZip],
+    files: {
+      'shared.txt': secondLayerZip,
+      'first.txt': firstLayerZip
+    },
+    overwritten: [
+      { file: 'shared.txt', layer: firstLayerZip, overwrittenBy: secondLayerZip }
+    ]
+  });
+});
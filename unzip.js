@@ -0,0 +1,200 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+
+const openZip = promisify(yauzl.open);
+
+const fileTypeMask = 0o170000;
+const symlinkType = 0o120000;
+const permissionsMask = 0o7777;
+const maxSymlinkDepth = 40;
+
+/**
+ * Resolve a path relative to a directory the way the file system would, following
+ * the symlinks already on disk along the way.  Path components that do not exist
+ * yet are resolved as text.
+ *
+ * @param {string} fromDir - the real path of the directory `relativePath` is
+ *                           relative to
+ * @param {string} relativePath - the entry name or symlink target
+ * @param {number} [depth=0] - how many symlinks have been followed so far
+ * @returns {string} the resolved path
+ */
+function resolveOnDisk(fromDir, relativePath, depth = 0) {
+  if (depth > maxSymlinkDepth) {
+    throw new Error(`${relativePath} has too many levels of symbolic links`);
+  }
+  let current = path.isAbsolute(relativePath) ? path.parse(relativePath).root : fromDir;
+  relativePath.split('/').forEach((segment) => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') {
+      current = path.dirname(current);
+      return;
+    }
+    const next = path.join(current, segment);
+    let stats;
+    try {
+      stats = fs.lstatSync(next);
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    current = stats && stats.isSymbolicLink()
+      ? resolveOnDisk(current, fs.readlinkSync(next), depth + 1)
+      : next;
+  });
+  return current;
+}
+
+/**
+ * Reject a path that is outside of the destination directory
+ *
+ * @param {string} destinationDir - the real path of the directory the archive is
+ *                                  extracted to
+ * @param {string} resolved - the resolved path
+ * @param {string} relativePath - the entry name or symlink target, for the error
+ * @returns {string} the resolved path
+ */
+function assertWithin(destinationDir, resolved, relativePath) {
+  if (resolved !== destinationDir && !resolved.startsWith(`${destinationDir}${path.sep}`)) {
+    throw new Error(`${relativePath} resolves outside of ${destinationDir}`);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the path an archive entry or symlink target refers to, following
+ * symlinks extracted by earlier entries, and reject paths that would escape the
+ * destination directory
+ *
+ * @param {string} destinationDir - the real path of the directory the archive is
+ *                                  extracted to
+ * @param {string} fromDir - the real path of the directory `relativePath` is
+ *                           relative to
+ * @param {string} relativePath - the entry name or symlink target
+ * @returns {string} the resolved path
+ */
+function resolveWithin(destinationDir, fromDir, relativePath) {
+  return assertWithin(destinationDir, resolveOnDisk(fromDir, relativePath), relativePath);
+}
+
+/**
+ * Read the whole contents of an archive entry
+ *
+ * @param {Object} zipFile - the open yauzl zip file
+ * @param {Object} entry - the yauzl entry
+ * @returns {Promise<string>} the entry's contents
+ */
+async function readEntry(zipFile, entry) {
+  const stream = await promisify(zipFile.openReadStream.bind(zipFile))(entry);
+  const chunks = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+/**
+ * Extract a single archive entry, preserving its file mode and symlinks
+ *
+ * @param {Object} zipFile - the open yauzl zip file
+ * @param {Object} entry - the yauzl entry
+ * @param {string} destinationDir - the directory the archive is extracted to
+ * @returns {Promise<boolean>} resolves to true when a file or symlink has been
+ *                             extracted, or false for a directory
+ */
+async function extractEntry(zipFile, entry, destinationDir) {
+  const mode = (entry.externalFileAttributes >>> 16) & 0xFFFF; // eslint-disable-line no-bitwise
+  const permissions = mode & permissionsMask; // eslint-disable-line no-bitwise
+
+  if (entry.fileName.endsWith('/')) {
+    const directory = resolveWithin(destinationDir, destinationDir, entry.fileName);
+    fs.mkdirSync(directory, { recursive: true });
+    if (permissions) fs.chmodSync(directory, permissions);
+    return false;
+  }
+
+  // The entry itself is replaced rather than followed, so only its parent
+  // directory is resolved through the symlinks on disk
+  const parentDir = resolveWithin(
+    destinationDir, destinationDir, path.posix.dirname(entry.fileName)
+  );
+  const target = assertWithin(
+    destinationDir, path.join(parentDir, path.posix.basename(entry.fileName)), entry.fileName
+  );
+  fs.mkdirSync(parentDir, { recursive: true });
+  fs.rmSync(target, { force: true });
+
+  if ((mode & fileTypeMask) === symlinkType) { // eslint-disable-line no-bitwise
+    const linkTarget = await readEntry(zipFile, entry);
+    resolveWithin(destinationDir, parentDir, linkTarget);
+    fs.symlinkSync(linkTarget, target);
+    return true;
+  }
+
+  const readStream = await promisify(zipFile.openReadStream.bind(zipFile))(entry);
+  await pipeline(readStream, fs.createWriteStream(target));
+  if (permissions) fs.chmodSync(target, permissions);
+  return true;
+}
+
+/**
+ * Extract a zip archive into a directory, overwriting existing files.  File modes
+ * and symlinks are preserved, and entries or symlinks that would resolve outside
+ * of the directory, including through symlinks extracted by earlier entries, are
+ * rejected.
+ *
+ * @param {string} zipPath - path to the zip archive
+ * @param {string} destinationDir - the directory to extract the archive to
+ * @returns {Promise<Array<string>>} resolves to the names of the extracted files and
+ *                                   symlinks when the archive has been extracted
+ */
+async function extractZip(zipPath, destinationDir) {
+  fs.mkdirSync(destinationDir, { recursive: true });
+  const destination = fs.realpathSync(destinationDir);
+  let zipFile;
+  try {
+    zipFile = await openZip(zipPath, { lazyEntries: true });
+  }
+  catch (err) {
+    throw new Error(`Failed to open archive ${zipPath}: ${err.message}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const extracted = [];
+    let currentEntry;
+
+    /**
+     * Stop extracting and report which archive and entry failed
+     *
+     * @param {Error} err - the error
+     * @returns {undefined} no return value
+     */
+    function fail(err) {
+      zipFile.close();
+      const entryName = currentEntry ? ` entry ${currentEntry.fileName}` : '';
+      reject(new Error(`Failed to extract${entryName} from archive ${zipPath}: ${err.message}`));
+    }
+
+    zipFile.on('error', fail);
+    zipFile.on('end', () => resolve(extracted));
+    zipFile.on('entry', (entry) => {
+      currentEntry = entry;
+      extractEntry(zipFile, entry, destination)
+        .then((isFile) => {
+          if (isFile) extracted.push(entry.fileName);
+          currentEntry = undefined;
+          zipFile.readEntry();
+        })
+        .catch(fail);
+    });
+    zipFile.readEntry();
+  });
+}
+
+module.exports = extractZip;